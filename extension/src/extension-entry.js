@@ -14,11 +14,22 @@
 
 import { UniversalController } from '../../src/detection/universal-controller.js';
 import { FrameRPCChild, isInIframe } from '../../src/iframe/frame-rpc.js';
-import { chatSend, chatGetMessages, chatOnMessage } from '../../src/actions/chat-api.js';
-import { formFill, formSubmit, formGetValues } from '../../src/actions/form-api.js';
+import { chatSend, chatSendAndWait, chatGetMessages, chatOnMessage } from '../../src/actions/chat-api.js';
+import { chatStream } from '../../src/actions/chat-stream.js';
+import { chatAttach } from '../../src/actions/chat-attach.js';
+import { errorBaseline, detectChatError, errorNoticeOf } from '../../src/actions/chat-errors.js';
+import { harvestTranscript, exportTranscript } from '../../src/actions/chat-transcript.js';
+import { chatStop, chatRegenerate, chatEditMessage } from '../../src/actions/chat-controls.js';
+import { listModels, getCurrentModel, selectModel } from '../../src/actions/chat-model.js';
+import { newConversation, listConversations, openConversation } from '../../src/actions/conversation-api.js';
+import { formFill, formSubmit, formGetValues, formDescribe } from '../../src/actions/form-api.js';
+import { formWizardFill, formWizardState } from '../../src/actions/form-wizard.js';
 import { dropdownToggle, dropdownSelect } from '../../src/actions/dropdown-api.js';
 import { modalClose } from '../../src/actions/modal-api.js';
-import { setText } from '../../src/actions/text-input.js';
+import { setText, typeText } from '../../src/actions/text-input.js';
+import { findEditor, registerEditorAdapter } from '../../src/actions/editor-adapters.js';
+import { toMarkdown, toMarkdownAST } from '../../src/core/markdown-serializer.js';
+import { findReasoningBlocks, expandReasoning, splitReasoning } from '../../src/core/reasoning-extractor.js';
 import { extractLLMContext, generateCopyContext } from '../../src/llm/context-extractor.js';
 import { fullHeapScan, scanFramework } from '../../src/llm/heap-scanner.js';
 import { PatternVerifier } from '../../src/llm/state-machine.js';
@@ -103,7 +114,7 @@ window.__UC_detect = function (patternName, guarantee) {
 };
 
 window.__UC_detectAll = function (guarantee) {
-  const patterns = ['chat', 'form', 'dropdown', 'modal', 'login', 'search', 'cookie', 'feed'];
+  const patterns = ['chat', 'history', 'form', 'dropdown', 'modal', 'login', 'search', 'cookie', 'feed'];
   const all = {};
   for (const name of patterns) {
     const results = controller.detect(name, guarantee || 'BEHAVIORAL');
@@ -117,18 +128,43 @@ window.__UC_detectAll = function (guarantee) {
 };
 
 // ── Binding ────────────────────────────────────────────────────────────
+//
+// A pattern can have several bindings (e.g. the main assistant and a support
+// widget, or the panes of an arena UI). Wrappers below act on the first one
+// unless their options say otherwise: { binding: 1 } or { binding: 'support' }.
 
-window.__UC_bind = function (patternName) {
+/**
+ * Bind a detected pattern. `options.result` picks which detection result
+ * (default: the best). Without a name this replaces the default binding;
+ * `options.name` names a binding and `options.add` adds an unnamed one.
+ */
+window.__UC_bind = function (patternName, options) {
   // Find the best detected result for this pattern
   const results = controller.detect(patternName, 'STRUCTURAL');
-  if (results.length === 0) return null;
-  const best = results[0];
-  const api = controller.bind(patternName, best.path);
-  return api ? { pattern: patternName, path: best.path } : null;
+  const best = results[options?.result ?? 0];
+  if (!best) return null;
+  const api = controller.bind(patternName, best.path, { name: options?.name, add: options?.add });
+  return api ? { pattern: patternName, path: best.path, name: api.name, index: controller.getAPIs(patternName).indexOf(api) } : null;
 };
 
-window.__UC_unbind = function (patternName) {
-  return controller.unbind(patternName);
+/**
+ * Bind every separate instance of a pattern on the page (nested detection
+ * results of one instance are skipped). Returns what __UC_listBound would.
+ */
+window.__UC_bindAll = function (patternName) {
+  const bound = [];
+  for (const result of controller.detect(patternName, 'STRUCTURAL')) {
+    if (bound.some(el => el.contains(result.el) || result.el.contains(el))) continue;
+    if (controller.bind(patternName, result.path, { add: bound.length > 0 })) bound.push(result.el);
+  }
+  return controller.listBoundAPIs().filter(b => b.pattern === patternName);
+};
+
+/**
+ * Unbind one binding (index or name) of a pattern, or all of them.
+ */
+window.__UC_unbind = function (patternName, which) {
+  return controller.unbind(patternName, which);
 };
 
 /**
@@ -140,9 +176,11 @@ window.__UC_unbind = function (patternName) {
  *
  * @param {string} patternName - "chat", "form", "search", etc.
  * @param {string} selector - CSS selector for the container element
+ * @param {object} [options] - { name } to name the binding, { add } to add an
+ *   unnamed one instead of replacing the default binding
  * @returns {{pattern, selector}} or null
  */
-window.__UC_bindBySelector = function (patternName, selector) {
+window.__UC_bindBySelector = function (patternName, selector, options) {
   const el = document.querySelector(selector);
   if (!el) return null;
 
@@ -159,8 +197,8 @@ window.__UC_bindBySelector = function (patternName, selector) {
   const pathStr = 'body>' + path.join('>');
 
   // Attempt to bind — controller.bind creates the action API
-  const api = controller.bind(patternName, pathStr);
-  if (api) return { pattern: patternName, selector };
+  const api = controller.bind(patternName, pathStr, { name: options?.name, add: options?.add });
+  if (api) return { pattern: patternName, selector, name: api.name };
 
   // Fallback: if controller.bind needs a detection result first,
   // manually register the element as a detected pattern
@@ -183,70 +221,242 @@ window.__UC_listBound = function () {
 
 // ── Action APIs (work on bound patterns) ───────────────────────────────
 
-window.__UC_chatSend = function (text) {
-  const api = controller.getAPI('chat');
-  if (!api) { _autoBind('chat'); }
-  const api2 = controller.getAPI('chat');
-  if (!api2) return false;
-  return api2.send(text);
+window.__UC_chatSend = function (text, options) {
+  const api = _api('chat', options, true);
+  if (!api) return false;
+  return api.send(text, options);
+};
+
+/**
+ * Send a prompt and resolve with the finished reply plus timings.
+ * Replaces the hand-chained captureBaseline → setupResponseWatcher →
+ * isInputCleared → extractFromContainer sequence.
+ */
+window.__UC_chatSendAndWait = function (text, options) {
+  const api = _api('chat', options, true);
+  if (!api) return Promise.resolve({ success: false, error: 'No chat bound' });
+  return api.sendAndWait(text, options);
+};
+
+/**
+ * Sends from __UC_chatSend/__UC_chatSendAndWait are serialized per binding:
+ * each waits until the chat is idle. Inspect or cancel waiting items here.
+ */
+window.__UC_chatQueue = function (options) {
+  const api = _api('chat', options);
+  if (!api) return [];
+  return api.queue.pending();
 };
 
-window.__UC_chatGetMessages = function () {
-  const api = controller.getAPI('chat');
+window.__UC_chatCancel = function (id, options) {
+  const api = _api('chat', options);
+  if (!api) return false;
+  return id === undefined || id === null ? api.queue.clear() > 0 : api.queue.cancel(id);
+};
+
+window.__UC_chatGetMessages = function (options) {
+  const api = _api('chat', options);
   if (!api) return [];
-  return api.getMessages();
+  return api.getMessages(options);
+};
+
+/**
+ * Scroll the bound chat top to bottom and return every turn, including those a
+ * virtualized list only renders near the viewport. Restores the scroll position.
+ */
+window.__UC_chatHarvestTranscript = function (options) {
+  const api = _api('chat', options, true);
+  if (!api) return Promise.resolve({ success: false, error: 'No chat bound' });
+  return api.harvestTranscript(options);
+};
+
+/**
+ * Export the bound chat as 'openai' ([{role, content}]), 'markdown' or 'jsonl'.
+ * Pass { harvest: true } to scroll for the full history first.
+ */
+window.__UC_exportTranscript = function (format, options) {
+  const api = _api('chat', options, true);
+  if (!api) return Promise.resolve({ success: false, error: 'No chat bound' });
+  return api.exportTranscript(format, options);
+};
+
+window.__UC_chatOnMessage = function (callback, options) {
+  const api = _api('chat', options);
+  if (!api) return null;
+  return api.onMessage(callback, options);
 };
 
-window.__UC_chatOnMessage = function (callback) {
-  const api = controller.getAPI('chat');
+window.__UC_chatStream = function (callback, options) {
+  const api = _api('chat', options);
   if (!api) return null;
-  return api.onMessage(callback);
+  return api.stream(callback, options);
 };
 
-window.__UC_formFill = function (data) {
-  const api = controller.getAPI('form');
-  if (!api) { _autoBind('form'); }
-  const api2 = controller.getAPI('form');
-  if (!api2) return false;
-  return api2.fill(data);
+/**
+ * Stage files in the chat composer. `files` is [{ name, mime, base64 }];
+ * resolves once the attachment chips have rendered and uploads finished.
+ */
+window.__UC_chatAttach = function (files, options) {
+  const api = _api('chat', options, true);
+  if (!api) return Promise.resolve({ success: false, error: 'No chat bound' });
+  return api.attach(files, options);
+};
+
+/**
+ * The error, limit or login wall showing near the chat, or null:
+ * { code, message, retryAfter, retryAfterMs, source }. Codes are
+ * 'rate_limited', 'auth_required', 'generation_failed' and 'content_blocked'.
+ * Notices already on the page at __UC_captureBaseline() are ignored.
+ */
+window.__UC_chatError = function (options) {
+  const components = _api('chat', options)?.components || {};
+  const error = detectChatError(components, { baseline: window._baselineErrors || undefined });
+  if (!error) return null;
+  const { el, ...rest } = error;
+  return rest;
+};
+
+/**
+ * Generation controls. Each resolves with { success, verification } where
+ * verification is the PatternVerifier result for the action.
+ */
+window.__UC_chatStop = function (options) {
+  const api = _api('chat', options);
+  if (!api) return Promise.resolve({ success: false, error: 'No chat bound' });
+  return api.stop();
+};
+
+window.__UC_chatRegenerate = function (index, options) {
+  const api = _api('chat', options);
+  if (!api) return Promise.resolve({ success: false, error: 'No chat bound' });
+  return api.regenerate(index);
+};
+
+window.__UC_chatEditMessage = function (index, newText, options) {
+  const api = _api('chat', options);
+  if (!api) return Promise.resolve({ success: false, error: 'No chat bound' });
+  return api.editMessage(index, newText, options);
+};
+
+/**
+ * Model picker on the bound chat. selectModel matches by name (exact, then
+ * substring) and is verified by the picker's trigger text changing.
+ */
+window.__UC_listModels = function (options) {
+  const api = _api('chat', options, true);
+  if (!api) return Promise.resolve({ success: false, error: 'No chat bound' });
+  return api.listModels();
 };
 
-window.__UC_formSubmit = function () {
-  const api = controller.getAPI('form');
+window.__UC_getCurrentModel = function (options) {
+  const api = _api('chat', options, true);
+  if (!api) return null;
+  return api.getCurrentModel();
+};
+
+window.__UC_selectModel = function (name, options) {
+  const api = _api('chat', options, true);
+  if (!api) return Promise.resolve({ success: false, error: 'No chat bound' });
+  return api.selectModel(name);
+};
+
+/**
+ * Conversation navigation over the sidebar ('history' pattern).
+ * listConversations → [{index, id, title, url, active}]; openConversation
+ * takes an id, URL, title or index.
+ */
+window.__UC_newConversation = function (options) {
+  const api = _api('history', options, true);
+  if (!api) return Promise.resolve({ success: false, error: 'No conversation history bound' });
+  return api.newConversation();
+};
+
+window.__UC_listConversations = function (options) {
+  const api = _api('history', options, true);
+  if (!api) return [];
+  return api.listConversations();
+};
+
+window.__UC_openConversation = function (id, options) {
+  const api = _api('history', options, true);
+  if (!api) return Promise.resolve({ success: false, error: 'No conversation history bound' });
+  return api.openConversation(id);
+};
+
+window.__UC_formFill = function (data, options) {
+  const api = _api('form', options, true);
   if (!api) return false;
-  return api.submit();
+  return api.fill(data);
+};
+
+/**
+ * __UC_formFill that also sets ARIA widgets (switches, radio and button
+ * groups, comboboxes, sliders, date segments, chips) by clicks and keys.
+ * Resolves once each widget shows its value or failed to.
+ */
+window.__UC_formFillWidgets = function (data, options) {
+  const api = _api('form', options, true);
+  if (!api) return Promise.resolve({ success: false, filled: [] });
+  return api.fillWidgets(data);
 };
 
-window.__UC_formGetValues = function () {
-  const api = controller.getAPI('form');
+window.__UC_formSubmit = function (options) {
+  const api = _api('form', options);
+  if (!api) return Promise.resolve({ success: false, errors: {} });
+  return api.submit(options);
+};
+
+window.__UC_formGetValues = function (options) {
+  const api = _api('form', options);
   if (!api) return {};
   return api.getValues();
 };
 
-window.__UC_dropdownToggle = function () {
-  const api = controller.getAPI('dropdown');
-  if (!api) { _autoBind('dropdown'); }
-  const api2 = controller.getAPI('dropdown');
-  if (!api2) return false;
-  api2.toggle();
+/**
+ * The bound form as a JSON Schema: per-field label, type, constraints,
+ * options and current value, keyed the way __UC_formFill matches keys.
+ */
+window.__UC_formDescribe = function (options) {
+  const api = _api('form', options, true);
+  if (!api) return null;
+  return api.describe();
+};
+
+/**
+ * Multi-step forms: fill each step from one data object and press Next while
+ * keys remain. Resolves with the keys filled on each step and the proof (from
+ * a ValueScanner diff) that each Next advanced.
+ */
+window.__UC_formWizardFill = function (data, options) {
+  const api = _api('form', options, true);
+  if (!api) return Promise.resolve({ success: false, steps: [], consumed: {}, remaining: Object.keys(data || {}), error: 'No form bound' });
+  return api.wizardFill(data, options);
+};
+
+window.__UC_formWizardState = function (options) {
+  const api = _api('form', options, true);
+  if (!api) return null;
+  return api.wizardState();
+};
+
+window.__UC_dropdownToggle = function (options) {
+  const api = _api('dropdown', options, true);
+  if (!api) return false;
+  api.toggle();
   return true;
 };
 
-window.__UC_dropdownSelect = function (value) {
-  const api = controller.getAPI('dropdown');
-  if (!api) { _autoBind('dropdown'); }
-  const api2 = controller.getAPI('dropdown');
-  if (!api2) return false;
-  api2.select(value);
+window.__UC_dropdownSelect = function (value, options) {
+  const api = _api('dropdown', options, true);
+  if (!api) return false;
+  api.select(value);
   return true;
 };
 
-window.__UC_modalClose = function () {
-  const api = controller.getAPI('modal');
-  if (!api) { _autoBind('modal'); }
-  const api2 = controller.getAPI('modal');
-  if (!api2) return false;
-  api2.close();
+window.__UC_modalClose = function (options) {
+  const api = _api('modal', options, true);
+  if (!api) return false;
+  api.close();
   return true;
 };
 
@@ -459,21 +669,47 @@ window.__UC_findButtons = function (inputSelector) {
 
 /**
  * Framework-aware text input using UC's setText().
- * Handles contenteditable (Slate, ProseMirror, TipTap), React synthetic
- * events, execCommand, paste simulation, and native inputs.
+ * Goes through the editor's own API when it recognizes one (ProseMirror,
+ * Lexical, Slate, Quill, CodeMirror, Monaco); otherwise handles
+ * contenteditable, React synthetic events, execCommand, paste simulation,
+ * and native inputs.
+ * With { typing: true } (or { typing: { delay, jitter } }) the text is typed
+ * keystroke by keystroke instead and a Promise is returned. { composition: true }
+ * inserts it through IME composition events.
  */
-window.__UC_setText = function (selector, text) {
+window.__UC_setText = function (selector, text, options) {
   const el = document.querySelector(selector);
   if (!el) return { success: false, error: 'Element not found' };
+  if (options?.typing) {
+    return typeText(el, text, options.typing === true ? {} : options.typing)
+      .catch(e => ({ success: false, error: e.message }));
+  }
   try {
     el.focus();
-    const result = setText(el, text);
+    const result = setText(el, text, { composition: options?.composition });
     return { success: true, method: result?.method || 'unknown' };
   } catch (e) {
     return { success: false, error: e.message };
   }
 };
 
+/**
+ * Name the editor (e.g. 'prosemirror', 'lexical', 'monaco') that owns an
+ * input, or null when setText would fall back to generic DOM strategies.
+ */
+window.__UC_findEditor = function (selector) {
+  const el = document.querySelector(selector);
+  return el ? findEditor(el)?.name ?? null : null;
+};
+
+/**
+ * Teach setText a site's editor: { name, find(el), setText(instance, text), getText(instance) }.
+ */
+window.__UC_registerEditorAdapter = function (adapter) {
+  registerEditorAdapter(adapter);
+  return true;
+};
+
 /**
  * Click a button by selector, with optional pre-focus.
  */
@@ -587,6 +823,7 @@ function _trigrams(text) {
 /** Stored baseline trigram set, captured before an action.
  *  Exposed on window so page.evaluate() in Python can check it. */
 window._baselineTrigrams = null;
+window._baselineErrors = null;
 
 /**
  * Capture a trigram fingerprint of all visible text on the page.
@@ -595,6 +832,7 @@ window._baselineTrigrams = null;
 window.__UC_captureBaseline = function () {
   const text = document.body.innerText || '';
   window._baselineTrigrams = _trigrams(text);
+  window._baselineErrors = errorBaseline(controller.getAPI('chat')?.components);
   return { trigrams: window._baselineTrigrams.size, textLength: text.length };
 };
 
@@ -608,7 +846,13 @@ window.__UC_captureBaseline = function () {
  * Elements with high new_ratio contain new text (the response).
  * Elements with low new_ratio contain pre-existing text (nav, sidebar).
  *
- * Returns array of {selector, text, newRatio, trigramCount} sorted by
+ * Reasoning blocks ("Thought for 12s", thinking panels) are kept out of
+ * `text`: elements inside one are skipped, and elements that contain one
+ * report it separately as `reasoning`. Collapsed blocks are expanded only
+ * inside the bound chat's container, never across the page. Error and limit
+ * banners are skipped.
+ *
+ * Returns array of {selector, text, reasoning, newRatio, trigramCount} sorted by
  * newRatio * textLength descending (most new content first).
  */
 window.__UC_extractResponse = function (minNewRatio) {
@@ -616,6 +860,9 @@ window.__UC_extractResponse = function (minNewRatio) {
   minNewRatio = minNewRatio || 0.5;
 
   const candidates = [];
+  const chatContainer = controller.getAPI('chat')?.components.container;
+  if (chatContainer?.isConnected) expandReasoning(chatContainer);
+  const reasoningBlocks = findReasoningBlocks(document.body);
 
   // Scan ALL elements in the body for text content.
   // Use querySelectorAll instead of TreeWalker to reach deeply nested content.
@@ -630,9 +877,13 @@ window.__UC_extractResponse = function (minNewRatio) {
       const s = getComputedStyle(el);
       if (s.display === 'none' || s.visibility === 'hidden') continue;
     } catch (e) { continue; }
+    if (reasoningBlocks.some(b => b.contains(el))) continue;
 
-    const text = (el.innerText || '').trim();
+    const split = splitReasoning(el, { blocks: reasoningBlocks });
+    const text = split.text;
     if (text.length < 20 || text.length > 5000) continue;
+    // Error banners are new text too, but not the answer (see __UC_chatError)
+    if (errorNoticeOf(el, text)) continue;
     // Prefer leaf-ish elements (fewer than 10 direct children with text)
     if (el.children.length > 30) continue;
 
@@ -650,6 +901,7 @@ window.__UC_extractResponse = function (minNewRatio) {
       candidates.push({
         selector: _safeSelector(el),
         text: text,
+        reasoning: split.reasoning,
         newRatio: Math.round(newRatio * 1000) / 1000,
         trigramCount: elTrigrams.size,
         newTrigrams: newCount,
@@ -674,7 +926,7 @@ window.__UC_extractResponse = function (minNewRatio) {
       return true;
     })
     .slice(0, 10)
-    .map(c => ({ selector: c.selector, text: c.text, newRatio: c.newRatio, trigramCount: c.trigramCount, textLength: c.textLength }));
+    .map(c => ({ selector: c.selector, text: c.text, reasoning: c.reasoning, newRatio: c.newRatio, trigramCount: c.trigramCount, textLength: c.textLength }));
 };
 
 // ── LLM / Advanced ────────────────────────────────────────────────────
@@ -744,6 +996,27 @@ window.__UC_getAllSignatures = function () {
   return controller.signatures.getAll();
 };
 
+// ── Input probing ──────────────────────────────────────────────────────
+
+/**
+ * How detection probes candidate inputs: 'restore' (default; appends a
+ * zero-width space and restores content, selection and focus) or 'replace'.
+ */
+window.__UC_setProbeMode = function (mode) {
+  controller.setProbeMode(mode);
+  return controller.probeMode;
+};
+
+/**
+ * The candidates the last input probe tried: whether text landed, the
+ * content was restored, and the probe was side-effect-free.
+ */
+window.__UC_probeReport = function () {
+  const report = controller.lastProbe;
+  if (!report) return null;
+  return { ...report, candidates: report.candidates.map(({ el, ...rest }) => ({ tag: el.tagName, ...rest })) };
+};
+
 // ── Frame scanning ─────────────────────────────────────────────────────
 
 window.__UC_startFrameScanning = async function () {
@@ -834,6 +1107,39 @@ window.__UC_getObserved = function () {
   return window.__UC_observed;
 };
 
+// ── Buffered reply streaming (pollable from Python) ────────────────────
+
+/**
+ * Stream assistant replies on the bound chat into window.__UC_streamEvents.
+ * Each entry is a start/delta/complete event (see chatStream) without the
+ * DOM element, so Python can poll __UC_getStreamEvents(since) instead of
+ * guessing completion from __UC_observed.
+ */
+window.__UC_streamEvents = [];
+let _streamDisconnect = null;
+
+window.__UC_startStream = function (options) {
+  if (_streamDisconnect) { _streamDisconnect(); _streamDisconnect = null; }
+  window.__UC_streamEvents = [];
+
+  const api = _api('chat', options, true);
+  if (!api) return false;
+
+  _streamDisconnect = api.stream(({ el, ...event }) => {
+    window.__UC_streamEvents.push(event);
+  }, options);
+  return !!_streamDisconnect;
+};
+
+window.__UC_getStreamEvents = function (since) {
+  return window.__UC_streamEvents.slice(since || 0);
+};
+
+window.__UC_stopStream = function () {
+  if (_streamDisconnect) { _streamDisconnect(); _streamDisconnect = null; }
+  return window.__UC_streamEvents;
+};
+
 // ── Helpers for the chat() pipeline (replacing inline JS in Python) ───
 
 /**
@@ -943,13 +1249,32 @@ window.__UC_isInputCleared = function (selector) {
  * Walks descendants of the container, scores each by trigram newness vs.
  * the captured baseline (plus the sent message), returns the best match.
  *
+ * Reasoning blocks are expanded and left out of the text, and error banners
+ * are never returned as the answer (see __UC_chatError). Pass
+ * { withReasoning: true } to get { text, reasoning } instead of a string,
+ * where reasoning is the thinking that belongs to the matched reply.
+ *
  * IMPORTANT: clones the baseline set before adding sent_message trigrams,
  * so the baseline is preserved across calls (fixes mutation bug).
  */
-window.__UC_extractFromContainer = function (containerSel, sentMessage) {
+window.__UC_extractFromContainer = function (containerSel, sentMessage, options) {
+  const withReasoning = !!(options && options.withReasoning);
   const el = document.querySelector(containerSel);
-  if (!el) return '';
-  if (!window._baselineTrigrams) return el.innerText.trim();
+  if (!el) return withReasoning ? { text: '', reasoning: null } : '';
+
+  expandReasoning(el);
+  const blocks = findReasoningBlocks(el);
+  const result = (textEl, text) => {
+    if (!withReasoning) return text;
+    // The reasoning nearest the reply: inside it, or in the closest ancestor that has some
+    let scope = textEl;
+    while (scope !== el && !blocks.some(b => scope.contains(b))) scope = scope.parentElement;
+    const own = blocks.filter(b => scope.contains(b));
+    const picked = scope === el ? own.slice(-1) : own;
+    return { text, reasoning: picked.length > 0 ? splitReasoning(scope, { blocks: picked }).reasoning : null };
+  };
+
+  if (!window._baselineTrigrams) return result(el, splitReasoning(el, { blocks }).text);
 
   const _tri = (text) => {
     const s = new Set();
@@ -965,14 +1290,17 @@ window.__UC_extractFromContainer = function (containerSel, sentMessage) {
   }
 
   let bestText = '';
+  let bestEl = null;
   let bestRatio = 0;
   for (const c of el.querySelectorAll('*')) {
-    const ct = (c.innerText || '').trim();
+    if (blocks.some(b => b.contains(c))) continue;
+    const ct = splitReasoning(c, { blocks }).text;
     if (ct.length < 2 || ct.length > 5000) continue;
     if (c.children.length > 15) continue;
     if (sentMessage && ct.toLowerCase().includes(sentMessage.toLowerCase().slice(0, 40))) {
       continue;
     }
+    if (errorNoticeOf(c, ct)) continue;
     const tris = _tri(ct);
     if (!tris.size) continue;
     let n = 0;
@@ -983,9 +1311,24 @@ window.__UC_extractFromContainer = function (containerSel, sentMessage) {
     if (r > bestRatio) {
       bestRatio = r;
       bestText = ct;
+      bestEl = c;
     }
   }
-  return (bestText && bestRatio > 0.3) ? bestText : el.innerText.trim();
+  if (bestText && bestRatio > 0.3) return result(bestEl, bestText);
+  // A container showing only an error banner has no answer yet
+  const whole = splitReasoning(el, { blocks }).text;
+  return result(el, errorNoticeOf(el, whole) ? '' : whole);
+};
+
+/**
+ * Serialize an element (e.g. a locked response) as GitHub-flavored Markdown,
+ * or as a JSON AST when format is 'ast'. Keeps code fences, language tags,
+ * tables, lists, links and TeX that innerText flattens.
+ */
+window.__UC_toMarkdown = function (selector, format) {
+  const el = document.querySelector(selector);
+  if (!el) return null;
+  return format === 'ast' ? toMarkdownAST(el) : toMarkdown(el);
 };
 
 // ── Anchor-based response locking ─────────────────────────────────────
@@ -1277,6 +1620,16 @@ function _autoBind(patternName) {
   }
 }
 
+/**
+ * The binding a wrapper acts on: `options.binding` picks one of the pattern's
+ * bindings by index or name (default: the first). With `autoBind`, a pattern
+ * with no bindings at all is detected and bound first.
+ */
+function _api(patternName, options, autoBind) {
+  if (autoBind && !controller.getAPI(patternName)) _autoBind(patternName);
+  return controller.getAPI(patternName, options?.binding ?? 0);
+}
+
 // ── DOM Rasterizer ────────────────────────────────────────────────────
 // Renders DOM bounding-box geometry into a small spatial feature grid
 // for ML-based UI pattern classification.
@@ -1572,8 +1925,8 @@ if (isInIframe()) {
       console.log('[UC] Auto-bound from saved signatures:', bound.join(', '));
       // Expose bound APIs on window.UC
       for (const name of bound) {
-        const api = controller.getAPI(name);
-        if (api) window.UC[name] = api;
+        const view = controller.getAPIView(name);
+        if (view) window.UC[name] = view;
       }
     }
     // Start frame scanning
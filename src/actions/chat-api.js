@@ -2,49 +2,157 @@
 // CHAT API ACTIONS
 // ============================================
 
-import { setText, submitInput } from './text-input.js';
+import { setText, typeText, textMatches, submitMethods, runSubmitMethod, sameSubmitMethod, submitMethodName } from './text-input.js';
+import { findTurns, rememberSent } from './chat-turns.js';
+import { chatStream, isGenerating } from './chat-stream.js';
+import { errorBaseline, detectChatError, waitForChatError, errorResult } from './chat-errors.js';
+import { toMarkdown, toMarkdownAST } from '../core/markdown-serializer.js';
+import { findReasoningBlocks, expandReasoning, splitReasoning } from '../core/reasoning-extractor.js';
 
-// Track sent messages for own-message filtering
-const sentMessages = [];
-const MAX_SENT_HISTORY = 50;
+// The turns showing just before submitting
+function submitSnapshot(components) {
+  return new Set(components.container ? findTurns(components.container).map(t => t.el) : []);
+}
+
+function normalize(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Only signals tied to this send count: a new turn carrying the sent text, or
+// a reply generating. The composer emptying or other conversation changes may
+// be the page's own doing.
+function waitForSubmitted(components, text, before, timeout) {
+  const { container } = components;
+  const sent = normalize(text).slice(0, 200);
+  return new Promise(resolve => {
+    const start = Date.now();
+    const poll = () => {
+      const turnAppeared = !!container && findTurns(container)
+        .some(t => !before.has(t.el) && t.role !== 'assistant' && normalize(t.text).includes(sent));
+      const confirmed = turnAppeared || isGenerating(components);
+      if (confirmed || Date.now() - start >= timeout) {
+        resolve(confirmed);
+        return;
+      }
+      setTimeout(poll, 50);
+    };
+    poll();
+  });
+}
+
+/**
+ * Submit and verify the send. A remembered method (from a signature) is
+ * tried first; the searched methods (button, requestSubmit, Enter,
+ * Ctrl+Enter) are used if it doesn't apply on this page (its button is
+ * gone, there is no form), or if it ran unconfirmed and the composer still
+ * holds the text, which means it didn't send. Otherwise the first method
+ * that runs is the only one: if it isn't confirmed in time the send may
+ * still have gone through, so it is reported unverified rather than tried
+ * again another way.
+ *
+ * @returns {Promise<{ method: object|null, verified: boolean, replayed: boolean }>}
+ */
+async function submitVerified(components, text, remembered, logFn, timeout) {
+  const { input } = components;
+  const searched = submitMethods(input);
+  const order = remembered ? [remembered, ...searched.filter(m => !sameSubmitMethod(m, remembered))] : searched;
+
+  for (const method of order) {
+    const before = submitSnapshot(components);
+    if (!runSubmitMethod(input, method, logFn)) {
+      if (method === remembered) logFn('warn', `Saved submit method (${method.type}) doesn't apply, searching`);
+      continue;
+    }
+    const verified = await waitForSubmitted(components, text, before, timeout);
+    if (!verified && method === remembered && textMatches(input, text)) {
+      logFn('warn', `Saved submit method (${method.type}) didn't send, searching`);
+      continue;
+    }
+    if (!verified) logFn('warn', `Submit via ${method.type} not confirmed within ${timeout}ms`);
+    return { method, verified, replayed: method === remembered };
+  }
+  return { method: null, verified: false, replayed: false };
+}
 
 /**
  * Sends a chat message by setting text in the input, waiting for the value
  * to propagate (via MutationObserver on the input), then submitting.
  *
+ * A limit or login wall already showing in the conversation or composer
+ * fails the send before typing; an error that appears within `errorWindow` ms
+ * of submitting (before the reply starts) fails it after. Failures carry a
+ * `code` (see chat-errors.js).
+ *
  * Returns a Promise that resolves when the message has been submitted.
  *
  * @param {object} components - The detected chat components ({ input, container, sendButton }).
  * @param {string} text - The message text to send.
  * @param {function} [log] - Optional logging function with signature (type, msg).
- * @param {object} [options] - { timeout: number } Timeout in ms before fallback submit (default 500).
- * @returns {Promise<{ success: boolean, method?: string, error?: string }>}
+ * @param {object} [options]
+ * @param {number} [options.timeout=500] - Timeout in ms before fallback submit.
+ * @param {number} [options.errorWindow=1000] - Ms to watch for an error after submitting (0 to skip).
+ * @param {boolean|object} [options.typing] - Type keystroke by keystroke (true, or typeText's { delay, jitter }).
+ * @param {boolean} [options.composition=false] - Insert through IME composition events (see composeText).
+ * @param {object} [options.submitMethod] - A verified submit method to replay first (see text-input.js).
+ * @param {number} [options.submitTimeout=1500] - Ms to wait for a submit to be confirmed (see submitVerified).
+ * @returns {Promise<{ success: boolean, method?: string, submitMethod?: object, submitVerified?: boolean, setMethod?: string,
+ *   error?: string, code?: string, retryAfter?: string|null, retryAfterMs?: number|null }>}
  */
 export function chatSend(components, text, log, options = {}) {
   const logFn = log || (() => {});
   const { input } = components;
   const timeout = options.timeout || 500;
+  const errorWindow = options.errorWindow ?? 1000;
+  const submitTimeout = options.submitTimeout ?? 1500;
 
   if (!input) return Promise.resolve({ success: false, error: 'No input found' });
 
-  const result = setText(input, text);
+  // A stale banner elsewhere on the page (an old toast, a plan notice) mustn't block every send
+  const blocking = detectChatError(components, { codes: ['rate_limited', 'auth_required'], chatOnly: true });
+  if (blocking) {
+    logFn('error', `Not sending (${blocking.code}): ${blocking.message}`);
+    return Promise.resolve(errorResult(blocking));
+  }
+  const baseline = errorBaseline(components);
+
+  // Typing mode emits real keystrokes; it is async and falls back to setText on its own
+  const typed = options.typing
+    ? typeText(input, text, options.typing === true ? {} : options.typing)
+    : Promise.resolve(setText(input, text, { composition: options.composition }));
 
   // Track sent message for own-message filtering
-  sentMessages.push({ text: text.trim(), timestamp: Date.now() });
-  if (sentMessages.length > MAX_SENT_HISTORY) sentMessages.shift();
+  rememberSent(text);
 
-  return new Promise((resolve) => {
+  const submitted = typed.then(result => new Promise((resolve) => {
     // Wait for the input value to propagate, then submit
-    const checkAndSubmit = () => {
-      const method = submitInput(input, logFn);
-      const preview = `${text.slice(0, 30)}${text.length > 30 ? '...' : ''}`;
-      logFn('success', `Sent via ${method} (setText: ${result.method}): "${preview}"`);
-      resolve({ success: true, method, setMethod: result.method });
+    // Runs in the executor: a throw here would leave the send (and the queue behind it) pending forever
+    const checkAndSubmit = async () => {
+      try {
+        const submit = await submitVerified(components, text, options.submitMethod, logFn, submitTimeout);
+        if (!submit.method) {
+          logFn('error', 'No submit method applies');
+          resolve({ success: false, error: 'No submit method applies', setMethod: result.method });
+          return;
+        }
+        const preview = `${text.slice(0, 30)}${text.length > 30 ? '...' : ''}`;
+        const how = `${submit.method.type}${submit.replayed ? ', saved' : ''}${submit.verified ? '' : ', unconfirmed'}`;
+        logFn('success', `Sent via ${how} (setText: ${result.method}): "${preview}"`);
+        resolve({
+          success: true,
+          method: submitMethodName(submit.method),
+          submitMethod: submit.method,
+          submitVerified: submit.verified,
+          setMethod: result.method
+        });
+      } catch (e) {
+        logFn('error', `Send failed: ${e.message}`);
+        resolve({ success: false, error: e.message, setMethod: result.method });
+      }
     };
 
     // Observe the input for value change confirmation
-    const currentValue = input.value ?? input.textContent;
-    if (currentValue === text || currentValue?.trim() === text.trim()) {
+    // Multi-paragraph composers hold the text as blocks, not newlines
+    if (textMatches(input, text)) {
       // Value already set, submit immediately
       checkAndSubmit();
       return;
@@ -62,8 +170,7 @@ export function chatSend(components, text, log, options = {}) {
     };
 
     const observer = new MutationObserver(() => {
-      const val = input.value ?? input.textContent;
-      if (val === text || val?.trim() === text.trim()) {
+      if (textMatches(input, text)) {
         settle();
       }
     });
@@ -77,8 +184,7 @@ export function chatSend(components, text, log, options = {}) {
 
     // Also listen for input event (covers most frameworks)
     const onInput = () => {
-      const val = input.value ?? input.textContent;
-      if (val === text || val?.trim() === text.trim()) {
+      if (textMatches(input, text)) {
         input.removeEventListener('input', onInput);
         settle();
       }
@@ -90,78 +196,246 @@ export function chatSend(components, text, log, options = {}) {
       input.removeEventListener('input', onInput);
       settle();
     }, timeout);
+  }));
+
+  if (errorWindow <= 0) return submitted;
+  return submitted.then(async (sent) => {
+    if (!sent.success) return sent;
+    const error = await waitForChatError(components, { baseline, timeout: errorWindow, until: () => isGenerating(components) });
+    if (!error) return sent;
+    logFn('error', `Send failed (${error.code}): ${error.message}`);
+    return { ...errorResult(error), method: sent.method, submitMethod: sent.submitMethod, submitVerified: sent.submitVerified, setMethod: sent.setMethod };
   });
 }
 
 /**
- * Checks if a message text was recently sent by us.
+ * Walks up from the chat input to the element most likely to hold the
+ * conversation: a main/region landmark or the first tall scrollable ancestor.
+ * Used when a binding has no container (e.g. bound by input selector).
  *
- * @param {string} text - The message text to check.
- * @param {number} [windowMs=5000] - How far back to check (ms).
- * @returns {boolean}
+ * @param {HTMLElement} input - The chat input.
+ * @returns {HTMLElement} The response container (document.body as a last resort).
  */
-function isOwnMessage(text, windowMs = 5000) {
-  const trimmed = text.trim();
-  const now = Date.now();
-  return sentMessages.some(m =>
-    m.text === trimmed && (now - m.timestamp) < windowMs
-  );
+export function findResponseContainer(input) {
+  let cur = input;
+  for (let i = 0; i < 15 && cur; i++) {
+    cur = cur.parentElement;
+    if (!cur || cur === document.body) break;
+    const role = cur.getAttribute('role') || '';
+    if (cur.tagName === 'MAIN' || role === 'main' || role === 'region' || role === 'log') return cur;
+    try {
+      const style = getComputedStyle(cur);
+      if (cur.scrollHeight > cur.clientHeight + 100 && ['auto', 'scroll'].includes(style.overflowY)) return cur;
+    } catch (e) {}
+  }
+  return document.body;
 }
 
 /**
- * Simple hash for deduplication of message text.
- * @param {string} str
- * @returns {number}
+ * Sends a message and resolves once the assistant's reply has finished.
+ * Starts a chatStream before submitting, so the reply is the first assistant
+ * turn to appear (or grow) after the send; completion uses the same signals.
+ *
+ * @param {object} components - The detected chat components ({ input, container, sendButton }).
+ * @param {string} text - The message text to send.
+ * @param {function} [log] - Optional logging function with signature (type, msg).
+ * @param {object} [options]
+ * @param {number} [options.timeout=120000] - Max ms to wait for the reply to complete.
+ * @param {number} [options.propagationTimeout=500] - Passed to chatSend as its submit fallback timeout.
+ * @param {boolean|object} [options.typing] - Passed to chatSend (keystroke typing mode).
+ * @param {boolean} [options.composition] - Passed to chatSend (IME composition events).
+ * @param {object} [options.submitMethod] - Passed to chatSend (submit method to replay).
+ * @param {object} [options.stream] - Extra chatStream options (stableMs, settleMs, pollMs).
+ * @param {string} [options.format] - 'markdown' or 'ast' to also serialize the reply.
+ * @param {number} [options.reasoningWait=300] - Ms to let collapsed reasoning render after expanding it.
+ * @returns {Promise<{ success: boolean, text?: string, reasoning?: string|null, markdown?: string, ast?: object, index?: number, reason?: string, method?: string,
+ *   timings?: { sendMs: number, firstTokenMs: number|null, responseMs: number, totalMs: number }, error?: string, code?: string, retryAfter?: string|null }>}
  */
-function hashText(str) {
-  let h = 0;
-  for (let i = 0; i < str.length; i++) {
-    h = ((h << 5) - h + str.charCodeAt(i)) | 0;
+export async function chatSendAndWait(components, text, log, options = {}) {
+  const logFn = log || (() => {});
+  const timeout = options.timeout ?? 120000;
+  const startedAt = Date.now();
+
+  if (!components.input) return { success: false, error: 'No input found' };
+  const streamComponents = components.container
+    ? components
+    : { ...components, container: findResponseContainer(components.input) };
+
+  let firstTokenAt = null;
+  let onComplete;
+  const completed = new Promise(resolve => { onComplete = resolve; });
+
+  const disconnect = chatStream(streamComponents, (event) => {
+    if (event.type === 'delta' && firstTokenAt === null) firstTokenAt = event.timestamp;
+    if (event.type === 'complete') onComplete(event);
+  }, { ...options.stream, maxMs: timeout });
+
+  let finished = false;
+  let timer;
+  const stop = () => {
+    finished = true;
+    clearTimeout(timer);
+    disconnect?.();
+  };
+
+  // A throwing send or typing run must not leave the observer and polls running
+  try {
+    const baseline = errorBaseline(streamComponents);
+    const sent = await chatSend(components, text, logFn, {
+      timeout: options.propagationTimeout,
+      errorWindow: 0,
+      typing: options.typing,
+      composition: options.composition,
+      submitMethod: options.submitMethod,
+      submitTimeout: options.submitTimeout
+    });
+    const sentAt = Date.now();
+    if (!sent.success) return sent;
+    const via = { method: sent.method, submitMethod: sent.submitMethod, submitVerified: sent.submitVerified };
+
+    // An error banner ends the wait as a failure; a streaming reply is only judged once complete
+    const failed = waitForChatError(streamComponents, { baseline, timeout, until: () => finished, sources: ['notice', 'dialog'] })
+      .then(error => error && { type: 'error', error });
+
+    const timedOut = new Promise(resolve => { timer = setTimeout(() => resolve(null), timeout); });
+    const event = await Promise.race([completed, failed, timedOut]);
+    stop();
+
+    // Errors rendered as the reply itself complete like a normal reply
+    const error = event?.type === 'error' ? event.error : detectChatError(streamComponents, { baseline });
+
+    const timings = {
+      sendMs: sentAt - startedAt,
+      firstTokenMs: firstTokenAt === null ? null : Math.max(0, firstTokenAt - sentAt),
+      responseMs: Date.now() - sentAt,
+      totalMs: Date.now() - startedAt
+    };
+
+    if (error) {
+      logFn('error', `Reply failed (${error.code}): ${error.message}`);
+      return { ...errorResult(error), ...via, timings };
+    }
+    if (!event) {
+      logFn('warn', `No reply within ${timeout}ms`);
+      return { success: false, error: 'No response within timeout', ...via, timings };
+    }
+    if (event.reason === 'timeout') {
+      logFn('warn', `Reply still streaming after ${timeout}ms`);
+      return { success: false, error: 'Response did not complete within timeout', text: event.text, index: event.index, ...via, timings };
+    }
+
+    await expandAndRender(event.el, options.reasoningWait);
+    const { text: answer, reasoning } = splitReasoning(event.el);
+
+    logFn('success', `Reply complete (${event.reason}, ${answer.length} chars, ${timings.responseMs}ms)`);
+    return {
+      success: true,
+      text: answer,
+      reasoning,
+      ...serializeTurn(event.el, options.format),
+      index: event.index,
+      reason: event.reason,
+      ...via,
+      timings
+    };
+  } finally {
+    stop();
   }
-  return h;
 }
 
 /**
- * Retrieves all visible messages from a chat container by walking leaf text nodes.
+ * Open collapsed reasoning under `root` and give it `waitMs` to render, since
+ * toggles usually fill the panel on the next frame or after a fetch.
+ *
+ * @param {HTMLElement} root
+ * @param {number} [waitMs=300]
+ * @returns {Promise<number>} How many blocks were expanded.
+ */
+async function expandAndRender(root, waitMs = 300) {
+  const expanded = expandReasoning(root);
+  if (expanded > 0) await new Promise(resolve => setTimeout(resolve, waitMs));
+  return expanded;
+}
+
+/**
+ * Splits a turn's reasoning ("Thought for 12s", thinking panels) from its
+ * answer. Collapsed reasoning is read as rendered; see expandAndRender.
+ *
+ * @param {object} turn - A turn from findTurns.
+ * @returns {object} The turn with `text` narrowed to the answer and a `reasoning` field (string or null).
+ */
+export function withReasoning(turn) {
+  const { text, reasoning } = splitReasoning(turn.el);
+  return { ...turn, text, reasoning };
+}
+
+/**
+ * Retrieves the conversation as role-attributed turns, one per message bubble.
+ * Bubbles are found by clustering repeated sibling structure under the
+ * container (see chat-turns.js), so a multi-paragraph reply is one turn.
+ * Reasoning blocks are reported in `reasoning`, not in `text` or `markdown`.
+ *
+ * Collapsed reasoning is left closed (opening it clicks the page's toggles)
+ * unless `expandReasoning` is set; then the result is a Promise that resolves
+ * once the opened blocks have had `reasoningWait` ms to render.
  *
  * @param {object} components - The detected chat components ({ container }).
- * @returns {Array<{ text: string, el: HTMLElement, isOwn: boolean }>}
+ * @param {object} [options]
+ * @param {string} [options.format] - 'markdown' or 'ast' to also serialize each turn (adds `markdown` or `ast`).
+ * @param {boolean} [options.expandReasoning=false] - Open collapsed reasoning blocks before reading them.
+ * @param {number} [options.reasoningWait=300] - Ms to let expanded reasoning render.
+ * @returns {Array<{ index: number, id: string|null, role: string, roleSource: string|null, text: string, reasoning: string|null, el: HTMLElement, isOwn: boolean, timestamp: number }>|Promise<Array<object>>}
  */
-export function chatGetMessages(components) {
+export function chatGetMessages(components, options = {}) {
   const { container } = components;
-  if (!container) return [];
-
-  const messages = [];
-  const seen = new Set();
-
-  const walk = (el) => {
-    const text = el.innerText?.trim();
-    if (el.children.length === 0 && text && text.length > 0 && text.length < 1000) {
-      const hash = hashText(text);
-      if (!seen.has(hash)) {
-        seen.add(hash);
-        messages.push({
-          text,
-          el,
-          isOwn: isOwnMessage(text),
-          timestamp: Date.now()
-        });
-      }
-    } else {
-      [...el.children].forEach(walk);
-    }
+  const read = () => {
+    if (!container) return [];
+    const timestamp = Date.now();
+    return findTurns(container).map(turn => ({
+      ...withReasoning(turn),
+      ...serializeTurn(turn.el, options.format),
+      isOwn: turn.role === 'user',
+      timestamp
+    }));
   };
-  walk(container);
-  return messages;
+
+  if (!options.expandReasoning) return read();
+  return container ? expandAndRender(container, options.reasoningWait).then(read) : Promise.resolve([]);
+}
+
+/**
+ * Serialize a message element in the requested format, leaving out its
+ * reasoning blocks.
+ *
+ * @param {HTMLElement} el
+ * @param {string} [format] - 'markdown' or 'ast'; anything else adds nothing.
+ * @returns {{ markdown?: string, ast?: object }}
+ */
+export function serializeTurn(el, format) {
+  if (format !== 'markdown' && format !== 'ast') return {};
+  const options = { skip: findReasoningBlocks(el) };
+  return format === 'markdown' ? { markdown: toMarkdown(el, options) } : { ast: toMarkdownAST(el, options) };
 }
 
 /**
- * Observes a chat container for new messages using a MutationObserver.
- * Includes deduplication and own-message filtering.
+ * Observes a chat container for new messages, delivering each one exactly once.
+ *
+ * Messages are identified by their bubble (see findTurns), not their text, so
+ * two identical replies are two messages and long replies aren't dropped.
+ * A bubble counts as already delivered if its element was delivered, or if it
+ * carries the same message id (data-* id, numbered test id, React key) as one
+ * that was; that covers UIs that re-render a message into a fresh node.
+ *
+ * A message is delivered once its text has stopped changing for `settleMs`,
+ * so streamed replies arrive complete. Use chatStream for token-level deltas.
  *
  * @param {object} components - The detected chat components ({ container }).
- * @param {function} callback - Called with { text, el, isOwn, timestamp } for each new message.
- * @param {object} [options] - { includeOwn: boolean } Whether to include own messages (default true).
+ * @param {function} callback - Called with { id, index, role, text, reasoning, el, isOwn, timestamp } for each new message.
+ * @param {object} [options]
+ * @param {boolean} [options.includeOwn=true] - Whether to include messages we sent.
+ * @param {number} [options.settleMs=1000] - Quiet period before a message is delivered.
+ * @param {boolean} [options.expandReasoning=false] - Open the message's collapsed reasoning before delivering it.
+ * @param {number} [options.reasoningWait=300] - Ms to let expanded reasoning render.
  * @returns {function|null} A disconnect function to stop observing, or null if no container.
  */
 export function chatOnMessage(components, callback, options = {}) {
@@ -169,41 +443,68 @@ export function chatOnMessage(components, callback, options = {}) {
   if (!container) return null;
 
   const includeOwn = options.includeOwn !== false;
-  const seenHashes = new Set();
-
-  // Seed with existing messages to avoid re-firing
-  const existingTexts = [];
-  const walkExisting = (el) => {
-    const text = el.innerText?.trim();
-    if (el.children.length === 0 && text && text.length > 0 && text.length < 1000) {
-      existingTexts.push(text);
-    } else {
-      [...el.children].forEach(walkExisting);
-    }
-  };
-  walkExisting(container);
-  existingTexts.forEach(t => seenHashes.add(hashText(t)));
+  const settleMs = options.settleMs ?? 1000;
 
-  const observer = new MutationObserver(mutations => {
-    for (const m of mutations) {
-      for (const node of m.addedNodes) {
-        if (node.nodeType !== 1) continue;
+  const deliveredEls = new WeakSet();
+  const deliveredIds = new Set();
+  const pending = new Map();
 
-        const text = node.innerText?.trim();
-        if (!text || text.length === 0 || text.length >= 1000) continue;
+  const isDelivered = (turn) => deliveredEls.has(turn.el) || (turn.id !== null && deliveredIds.has(turn.id));
+  const markDelivered = (turn) => {
+    deliveredEls.add(turn.el);
+    if (turn.id !== null) deliveredIds.add(turn.id);
+  };
 
-        const hash = hashText(text);
-        if (seenHashes.has(hash)) continue;
-        seenHashes.add(hash);
+  // Existing messages are history, not new
+  findTurns(container).forEach(markDelivered);
 
-        const isOwn = isOwnMessage(text);
-        if (!includeOwn && isOwn) continue;
+  let stopped = false;
+  const deliver = async (turn) => {
+    markDelivered(turn);
+    const isOwn = turn.role === 'user';
+    if (!includeOwn && isOwn) return;
+    if (options.expandReasoning) {
+      await expandAndRender(turn.el, options.reasoningWait);
+      if (stopped) return;
+    }
+    try {
+      const { text, reasoning } = withReasoning(turn);
+      callback({ id: turn.id, index: turn.index, role: turn.role, text, reasoning, el: turn.el, isOwn, timestamp: Date.now() });
+    } catch (e) {
+      console.warn('[UC] chatOnMessage callback threw:', e);
+    }
+  };
 
-        callback({ text, el: node, isOwn, timestamp: Date.now() });
+  let timer = null;
+  const scan = () => {
+    timer = null;
+    const now = Date.now();
+    for (const turn of findTurns(container)) {
+      if (!turn.text || isDelivered(turn)) continue;
+      const seen = pending.get(turn.el);
+      if (!seen || seen.text !== turn.text) {
+        pending.set(turn.el, { text: turn.text, changedAt: now });
+      } else if (now - seen.changedAt >= settleMs) {
+        pending.delete(turn.el);
+        deliver(turn);
       }
     }
+    // Drop bubbles the UI removed before they settled
+    for (const el of pending.keys()) {
+      if (!el.isConnected) pending.delete(el);
+    }
+    if (pending.size > 0) timer = setTimeout(scan, Math.min(settleMs, 250));
+  };
+
+  const observer = new MutationObserver(() => {
+    if (timer) return;
+    timer = setTimeout(scan, 50);
   });
 
-  observer.observe(container, { childList: true, subtree: true });
-  return () => observer.disconnect();
+  observer.observe(container, { childList: true, subtree: true, characterData: true });
+  return () => {
+    stopped = true;
+    observer.disconnect();
+    clearTimeout(timer);
+  };
 }
@@ -0,0 +1,267 @@
+// ============================================
+// CHAT ATTACHMENTS
+// ============================================
+
+/**
+ * Delivers files to a chat composer the way a user would: through its file
+ * input (setting `files` and firing `change`) or, when there is none, by a
+ * synthetic drag-and-drop onto the composer. Sends are only safe once the
+ * site has rendered an attachment chip and finished uploading, so
+ * chatAttach waits for both before resolving.
+ */
+
+const ATTACH_BUTTON_SELECTORS = [
+  'button[aria-label*="attach" i]',
+  'button[aria-label*="upload" i]',
+  'button[aria-label*="file" i]',
+  'button[aria-label*="image" i]',
+  'button[data-testid*="attach" i]',
+  'button[data-testid*="upload" i]',
+  'button[title*="attach" i]',
+  'button[title*="upload" i]'
+];
+
+// Elements that show a staged attachment
+const CHIP_SELECTORS = [
+  'button[aria-label*="remove" i]',
+  'img[src^="blob:"]',
+  'img[src^="data:"]',
+  '[class*="attachment" i]',
+  '[class*="chip" i]',
+  '[class*="file-preview" i]',
+  '[data-testid*="attachment" i]',
+  '[data-testid*="file" i]'
+];
+
+const BUSY_SELECTORS = ['[role="progressbar"]', '[aria-busy="true"]', '[class*="spinner" i]', '[class*="uploading" i]'];
+
+function isVisible(el) {
+  return !!el && el.isConnected && el.offsetParent !== null;
+}
+
+/**
+ * Decode a { name, mime, base64 } descriptor into a File.
+ * `base64` may also be a data: URL.
+ *
+ * @param {{ name: string, mime?: string, base64: string }} file
+ * @returns {File}
+ */
+export function toFile({ name, mime, base64 }) {
+  const match = /^data:([^;,]*)(?:;[^,]*)?,/.exec(base64);
+  const type = mime || match?.[1] || 'application/octet-stream';
+  const binary = atob(match ? base64.slice(match[0].length) : base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return new File([bytes], name, { type });
+}
+
+function composerRoots(components) {
+  const { input, container } = components;
+  return [
+    input?.closest('form'),
+    input?.closest('fieldset'),
+    input?.closest('[class*="composer"]'),
+    input?.parentElement?.parentElement?.parentElement,
+    container?.parentElement
+  ].filter(Boolean);
+}
+
+function accepts(fileInput, file) {
+  const accept = fileInput.getAttribute('accept');
+  if (!accept) return true;
+  return accept.split(',').map(a => a.trim().toLowerCase()).some(a =>
+    a === file.type ||
+    (a.endsWith('/*') && file.type.startsWith(a.slice(0, -1))) ||
+    (a.startsWith('.') && file.name.toLowerCase().endsWith(a))
+  );
+}
+
+function fileInputIn(roots, files) {
+  for (const root of roots) {
+    const inputs = [...root.querySelectorAll('input[type="file"]')].filter(i => !i.disabled);
+    const match = inputs.find(i => files.every(f => accepts(i, f)));
+    if (match) return match;
+  }
+  return null;
+}
+
+/**
+ * Find the composer's file input, preferring one that accepts every file.
+ * File inputs are usually hidden, so visibility isn't required. Only the
+ * composer is searched; other file inputs on the page (avatar upload,
+ * import dialogs) belong to something else.
+ *
+ * @param {object} components - The detected chat components ({ input, container }).
+ * @param {Array<File>} [files]
+ * @returns {HTMLInputElement|null}
+ */
+export function findFileInput(components, files = []) {
+  return fileInputIn(composerRoots(components), files);
+}
+
+function findAttachButton(components) {
+  for (const root of composerRoots(components)) {
+    for (const sel of ATTACH_BUTTON_SELECTORS) {
+      const btn = [...root.querySelectorAll(sel)].find(isVisible);
+      if (btn) return btn;
+    }
+  }
+  return null;
+}
+
+/**
+ * Click the attach button while intercepting the file input it would open.
+ * Many composers create the input on demand and call input.click(); the
+ * picker is suppressed and the input captured instead.
+ *
+ * @returns {HTMLInputElement|null}
+ */
+function revealFileInput(components, files) {
+  const btn = findAttachButton(components);
+  if (!btn) return null;
+
+  let captured = null;
+  const proto = HTMLInputElement.prototype;
+  const originalClick = proto.click;
+  const originalPicker = proto.showPicker;
+  proto.click = function () {
+    if (this.type === 'file') { captured = this; return; }
+    return originalClick.call(this);
+  };
+  if (originalPicker) {
+    proto.showPicker = function () {
+      if (this.type === 'file') { captured = this; return; }
+      return originalPicker.call(this);
+    };
+  }
+  try {
+    btn.click();
+  } finally {
+    proto.click = originalClick;
+    if (originalPicker) proto.showPicker = originalPicker;
+  }
+
+  return captured || findFileInput(components, files);
+}
+
+function deliverToInput(fileInput, files) {
+  const dt = new DataTransfer();
+  files.forEach(f => dt.items.add(f));
+  fileInput.files = dt.files;
+  fileInput.dispatchEvent(new Event('input', { bubbles: true }));
+  fileInput.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+function deliverByDrop(target, files) {
+  const dt = new DataTransfer();
+  files.forEach(f => dt.items.add(f));
+  for (const type of ['dragenter', 'dragover', 'drop']) {
+    target.dispatchEvent(new DragEvent(type, { bubbles: true, cancelable: true, dataTransfer: dt }));
+  }
+}
+
+function chipState(roots, names) {
+  const chips = new Set();
+  for (const root of roots) {
+    for (const sel of CHIP_SELECTORS) {
+      root.querySelectorAll(sel).forEach(el => chips.add(el));
+    }
+  }
+  const text = roots.map(r => r.textContent || '').join(' ');
+  return { chips, named: names.filter(n => text.includes(n)).length };
+}
+
+function isUploading(roots) {
+  return roots.some(root => BUSY_SELECTORS.some(sel => [...root.querySelectorAll(sel)].some(isVisible)));
+}
+
+/**
+ * Wait until the composer shows an attachment chip for the delivered files
+ * (a new chip element, or the file names appearing) and no upload progress
+ * indicator remains.
+ *
+ * @returns {Promise<{ ready: boolean, chips: number }>}
+ */
+function waitForChips(roots, before, names, timeout) {
+  return new Promise(resolve => {
+    let settled = false;
+
+    const check = () => {
+      if (settled) return;
+      const now = chipState(roots, names);
+      const added = [...now.chips].filter(el => !before.chips.has(el) && isVisible(el)).length;
+      const ready = (added > 0 || now.named > before.named) && !isUploading(roots);
+      if (ready) finish(true, added);
+    };
+
+    const finish = (ready, chips) => {
+      settled = true;
+      observer.disconnect();
+      clearInterval(poll);
+      clearTimeout(timer);
+      resolve({ ready, chips });
+    };
+
+    const observer = new MutationObserver(check);
+    roots.forEach(root => observer.observe(root, { childList: true, subtree: true, attributes: true }));
+    // Upload progress often ends with a style change the observer can miss
+    const poll = setInterval(check, 250);
+    const timer = setTimeout(() => finish(false, 0), timeout);
+    check();
+  });
+}
+
+/**
+ * Attach files to the chat composer and wait until they are staged.
+ *
+ * @param {object} components - The detected chat components ({ input, container, sendButton }).
+ * @param {Array<{ name: string, mime?: string, base64: string }>} files - Files to attach.
+ * @param {function} [log] - Optional logging function with signature (type, msg).
+ * @param {object} [options]
+ * @param {number} [options.timeout=15000] - Max ms to wait for the attachment chips.
+ * @param {HTMLElement} [options.dropTarget] - Element to drop onto when there is no file input.
+ * @returns {Promise<{ success: boolean, method?: string, attached?: number, chips?: number, error?: string }>}
+ */
+export async function chatAttach(components, files, log, options = {}) {
+  const logFn = log || (() => {});
+  const timeout = options.timeout ?? 15000;
+
+  if (!components.input) return { success: false, error: 'No input found' };
+  if (!Array.isArray(files) || files.length === 0) return { success: false, error: 'No files given' };
+
+  let decoded;
+  try {
+    decoded = files.map(toFile);
+  } catch (e) {
+    return { success: false, error: `Invalid file data: ${e.message}` };
+  }
+
+  const roots = composerRoots(components);
+  const names = decoded.map(f => f.name);
+  const before = chipState(roots, names);
+
+  let method;
+  // The whole page is the last resort, after the attach button had its chance to create one
+  const fileInput = findFileInput(components, decoded) ||
+    revealFileInput(components, decoded) ||
+    fileInputIn([document.body], decoded);
+  if (fileInput) {
+    // A single-file input gets one file per change event
+    const batches = fileInput.multiple ? [decoded] : decoded.map(f => [f]);
+    batches.forEach(batch => deliverToInput(fileInput, batch));
+    method = 'input';
+  } else {
+    const target = options.dropTarget || roots[0] || components.input;
+    deliverByDrop(target, decoded);
+    method = 'drop';
+  }
+
+  const { ready, chips } = await waitForChips(roots, before, names, timeout);
+  if (!ready) {
+    logFn('warn', `Attached ${decoded.length} file(s) via ${method}, but no attachment chip appeared`);
+    return { success: false, method, attached: decoded.length, error: 'Attachment not confirmed within timeout' };
+  }
+
+  logFn('success', `Attached ${decoded.length} file(s) via ${method}: ${names.join(', ')}`);
+  return { success: true, method, attached: decoded.length, chips };
+}
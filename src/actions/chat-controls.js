@@ -0,0 +1,251 @@
+// ============================================
+// CHAT CONTROLS (stop / regenerate / edit)
+// ============================================
+
+import { setText } from './text-input.js';
+import { findTurns } from './chat-turns.js';
+import { findStopButton } from './chat-stream.js';
+import { PatternVerifier } from '../llm/state-machine.js';
+
+/**
+ * Generation and per-message controls. These come and go with the
+ * conversation (the stop button only exists mid-reply, message toolbars often
+ * only render on hover), so they're looked up when used, not at bind time.
+ */
+
+const REGENERATE_LABEL = /regenerat|retry|try again|redo|reroll|resample/i;
+const EDIT_LABEL = /(^|[^a-z])edit(?!ed)/i;
+const SAVE_LABEL = /save|send|submit|update|done/i;
+const CANCEL_LABEL = /cancel|discard|close/i;
+
+const EDITOR_SELECTOR = 'textarea, [contenteditable="true"], input[type="text"]';
+
+function isVisible(el) {
+  return !!el && el.isConnected && el.offsetParent !== null;
+}
+
+function buttonLabel(btn) {
+  return `${btn.getAttribute('aria-label') || ''} ${btn.getAttribute('data-testid') || ''} ${btn.title || ''} ${btn.textContent?.trim() || ''}`;
+}
+
+/**
+ * The elements a turn's controls may live in: the bubble, any ancestor that
+ * holds no other turn (the toolbar is often a sibling of the text), and a
+ * following sibling that isn't itself a turn.
+ */
+function controlScopes(turn, turns, container) {
+  const others = turns.filter(t => t.el !== turn.el).map(t => t.el);
+  const scopes = [turn.el];
+  for (let cur = turn.el.parentElement; cur && cur !== container && container.contains(cur); cur = cur.parentElement) {
+    if (others.some(o => cur.contains(o))) break;
+    scopes.push(cur);
+  }
+  const next = turn.el.nextElementSibling;
+  if (next && !others.includes(next)) scopes.push(next);
+  return scopes;
+}
+
+function findControl(scopes, pattern) {
+  const candidates = [];
+  for (const scope of scopes) {
+    for (const btn of scope.querySelectorAll('button, [role="button"]')) {
+      if (pattern.test(buttonLabel(btn)) && !candidates.includes(btn)) candidates.push(btn);
+    }
+  }
+  // Hover-only toolbars may still be hidden; a hidden button still clicks
+  return candidates.find(isVisible) || candidates[0] || null;
+}
+
+/**
+ * List the regenerate and edit controls for each turn in the conversation.
+ *
+ * @param {object} components - The detected chat components ({ container }).
+ * @returns {Array<{ index: number, role: string, el: HTMLElement, regenerate: HTMLElement|null, edit: HTMLElement|null }>}
+ */
+export function findMessageControls(components) {
+  const { container } = components;
+  if (!container) return [];
+  const turns = findTurns(container);
+  return turns.map(turn => {
+    const scopes = controlScopes(turn, turns, container);
+    return {
+      index: turn.index,
+      role: turn.role,
+      el: turn.el,
+      regenerate: findControl(scopes, REGENERATE_LABEL),
+      edit: findControl(scopes, EDIT_LABEL)
+    };
+  });
+}
+
+// Message toolbars commonly render on hover only
+function reveal(el) {
+  for (const type of ['pointerover', 'pointerenter', 'mouseover', 'mouseenter', 'mousemove']) {
+    el.dispatchEvent(new MouseEvent(type, { bubbles: type !== 'mouseenter' && type !== 'pointerenter' }));
+  }
+}
+
+/**
+ * Resolve a turn index, defaulting to the last turn with the given role.
+ * Negative indexes count from the end.
+ */
+function resolveTurn(turns, index, role) {
+  if (index === undefined || index === null) {
+    return [...turns].reverse().find(t => t.role === role) || null;
+  }
+  return turns[index < 0 ? turns.length + index : index] || null;
+}
+
+function verifier(components, logFn) {
+  // The last assistant turn is re-read on every poll, for the 'response-restarted' check
+  const live = Object.create(components, {
+    lastAssistantTurn: { get: () => resolveTurn(findTurns(components.container), null, 'assistant') }
+  });
+  // Components assembled by hand lack findComponents' live stopButton getter
+  if (!('stopButton' in components)) {
+    Object.defineProperty(live, 'stopButton', { get: () => findStopButton(components) });
+  }
+  return new PatternVerifier('chat', live, logFn);
+}
+
+function verified(result, error) {
+  return result.passed
+    ? { success: true, verification: result }
+    : { success: false, error, verification: result };
+}
+
+/**
+ * Click the stop-generation button and verify that generation stopped.
+ *
+ * @param {object} components - The detected chat components ({ input, container }).
+ * @param {function} [log] - Optional logging function with signature (type, msg).
+ * @returns {Promise<{ success: boolean, verification?: object, error?: string }>}
+ */
+export async function chatStop(components, log) {
+  const logFn = log || (() => {});
+  const btn = findStopButton(components);
+  if (!btn) return { success: false, error: 'Not generating' };
+
+  logFn('info', 'Stopping generation');
+  const result = await verifier(components, logFn).verify('stop', () => btn.click());
+  return verified(result, 'Generation did not stop');
+}
+
+/**
+ * Regenerate an assistant reply and verify that a new response started.
+ *
+ * @param {object} components - The detected chat components ({ input, container }).
+ * @param {number} [index] - Turn index (negative counts from the end). Defaults to the last assistant turn.
+ * @param {function} [log] - Optional logging function with signature (type, msg).
+ * @returns {Promise<{ success: boolean, index?: number, verification?: object, error?: string }>}
+ */
+export async function chatRegenerate(components, index, log) {
+  const logFn = log || (() => {});
+  const { container } = components;
+  if (!container) return { success: false, error: 'No container found' };
+
+  const turns = findTurns(container);
+  const turn = resolveTurn(turns, index, 'assistant');
+  if (!turn) return { success: false, error: `No turn at index ${index ?? '(last assistant)'}` };
+
+  reveal(turn.el);
+  const btn = findControl(controlScopes(turn, turns, container), REGENERATE_LABEL);
+  if (!btn) return { success: false, index: turn.index, error: `No regenerate control on turn ${turn.index}` };
+
+  logFn('info', `Regenerating turn ${turn.index}`);
+  const result = await verifier(components, logFn).verify('regenerate', () => btn.click());
+  return { ...verified(result, 'No new response started'), index: turn.index };
+}
+
+/**
+ * Poll for a visible editor that isn't the main composer.
+ *
+ * @returns {Promise<HTMLElement|null>}
+ */
+function waitForEditor(scopes, components, timeout) {
+  const find = () => {
+    for (const scope of [...scopes.filter(s => s.isConnected), components.container]) {
+      const editor = [...scope.querySelectorAll(EDITOR_SELECTOR)].find(e =>
+        e !== components.input && !e.contains(components.input) && isVisible(e)
+      );
+      if (editor) return editor;
+    }
+    return null;
+  };
+
+  return new Promise(resolve => {
+    const start = Date.now();
+    const poll = () => {
+      const editor = find();
+      if (editor || Date.now() - start > timeout) {
+        resolve(editor);
+        return;
+      }
+      setTimeout(poll, 50);
+    };
+    poll();
+  });
+}
+
+function findSaveButton(editor, components) {
+  let cur = editor.parentElement;
+  for (let i = 0; i < 6 && cur && cur !== components.container; i++, cur = cur.parentElement) {
+    const btn = [...cur.querySelectorAll('button, [role="button"]')].find(b =>
+      b !== components.sendButton &&
+      SAVE_LABEL.test(buttonLabel(b)) &&
+      !CANCEL_LABEL.test(buttonLabel(b)) &&
+      !b.disabled
+    );
+    if (btn) return btn;
+  }
+  return null;
+}
+
+/**
+ * Edit a sent message and resubmit it, verifying that the conversation changed.
+ * Opens the message's editor, replaces its text, then clicks the editor's
+ * save/send button (or presses Enter if there is none).
+ *
+ * @param {object} components - The detected chat components ({ input, container, sendButton }).
+ * @param {number} [index] - Turn index (negative counts from the end). Defaults to the last user turn.
+ * @param {string} newText - The replacement message text.
+ * @param {function} [log] - Optional logging function with signature (type, msg).
+ * @param {object} [options] - { editorTimeout: number } Max ms to wait for the editor to open (default 2000).
+ * @returns {Promise<{ success: boolean, index?: number, setMethod?: string, verification?: object, error?: string }>}
+ */
+export async function chatEditMessage(components, index, newText, log, options = {}) {
+  const logFn = log || (() => {});
+  const { container } = components;
+  if (!container) return { success: false, error: 'No container found' };
+
+  const turns = findTurns(container);
+  const turn = resolveTurn(turns, index, 'user');
+  if (!turn) return { success: false, error: `No turn at index ${index ?? '(last user)'}` };
+
+  reveal(turn.el);
+  const scopes = controlScopes(turn, turns, container);
+  const btn = findControl(scopes, EDIT_LABEL);
+  if (!btn) return { success: false, index: turn.index, error: `No edit control on turn ${turn.index}` };
+
+  let setMethod;
+  logFn('info', `Editing turn ${turn.index}`);
+  const result = await verifier(components, logFn).verify('edit', async () => {
+    btn.click();
+    const editor = await waitForEditor(scopes, components, options.editorTimeout ?? 2000);
+    if (!editor) throw new Error('Edit control did not open an editor');
+
+    setMethod = setText(editor, newText).method;
+    await new Promise(r => setTimeout(r, 100));
+
+    const save = findSaveButton(editor, components);
+    if (save) {
+      save.click();
+    } else {
+      editor.dispatchEvent(new KeyboardEvent('keydown', {
+        key: 'Enter', code: 'Enter', keyCode: 13, which: 13, bubbles: true, cancelable: true
+      }));
+    }
+  });
+
+  return { ...verified(result, 'Edit was not applied'), index: turn.index, setMethod };
+}
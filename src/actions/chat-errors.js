@@ -0,0 +1,233 @@
+// ============================================
+// CHAT ERROR DETECTION
+// ============================================
+
+import { findTurns } from './chat-turns.js';
+
+/**
+ * Recognizes the states in which a chat UI accepted (or swallowed) a prompt
+ * without answering it: usage limits, login walls, failed generations and
+ * policy blocks. They show up as alert banners and toasts, as a dialog, or
+ * as a short "Something went wrong" bubble in place of the reply.
+ *
+ * Only text that is new since a baseline counts, so a stale banner or an
+ * upsell notice that was already on the page doesn't fail every send.
+ * Error-styled elements, live regions and dialogs count inside the
+ * conversation and the composer; elsewhere on the page only alerts and a
+ * login dialog do, so an unrelated toast or widget can't fail a send.
+ *
+ * Codes:
+ *   'rate_limited'      - message/usage limit reached, too many requests
+ *   'auth_required'     - logged out, session expired, login wall
+ *   'content_blocked'   - the prompt or reply was blocked by a content policy
+ *   'generation_failed' - network/server error, "Something went wrong"
+ */
+
+const ERROR_RULES = [
+  {
+    code: 'rate_limited',
+    pattern: /(reached|hit) (your|the|our) [\w\s.-]{0,30}?(limit|cap|quota)|rate[\s-]limit|too many (requests|messages)|usage (limit|cap)|limit (reached|exceeded)|out of (free )?(messages|credits|queries)|message cap|quota (exceeded|reached)|slow down/i
+  },
+  {
+    code: 'auth_required',
+    pattern: /(log|sign) ?in (to|again to) (continue|chat|use|send|keep)|please (log|sign) ?in|session (has )?expired|(been|got) (logged|signed) out|create (a free )?account to|authentication required|unauthori[sz]ed/i
+  },
+  {
+    code: 'content_blocked',
+    pattern: /(violat\w*|against) (our|the) [\w\s]{0,20}?polic|content (policy|filter|management policy)|(prompt|message|request|content|response) (was |has been )?(blocked|flagged|removed)|flagged as (potentially )?(harmful|inappropriate|unsafe)/i
+  },
+  {
+    code: 'generation_failed',
+    pattern: /something went wrong|an? (unexpected |unknown |internal )?error (has )?occurred|error (generating|in (the )?(message )?stream|communicating)|network error|failed to (generate|send|fetch|load|get)|connection (lost|error|interrupted|failed)|(server|internal) error|unable to (generate|reach|connect|load)|request (failed|timed out)|(is|are) (currently )?(at capacity|overloaded|unavailable)|there was (a problem|an error)/i
+  }
+];
+
+// Error-styled elements: a reply bubble only counts as an error if it is one or holds one
+const ERROR_STYLE_SELECTOR = [
+  '[role="alert"]', '[class*="error" i]', '[class*="danger" i]', '[data-testid*="error" i]'
+].join(', ');
+
+// Alerts and dialogs where chat UIs surface errors. Status regions, polite
+// live regions and generic banners also carry upsells and plan notices.
+const NOTICE_SELECTOR = [
+  ERROR_STYLE_SELECTOR, '[role="alertdialog"]', '[aria-live="assertive"]', '[role="dialog"]'
+].join(', ');
+// Outside the chat, only what announces itself as an alert
+const PAGE_NOTICE_SELECTOR = '[role="alert"], [role="alertdialog"], [role="dialog"]';
+
+// Longer text is a real answer that happens to mention an error, not a banner
+const MAX_NOTICE_LENGTH = 400;
+const MAX_TURN_LENGTH = 200;
+
+const RETRY_AFTER = /(?:try again|retry|resets?|available again|come back|wait|limit will reset|unlock(?:s|ed)?)\s+(?:in|after|at|on|until)?\s*((?:about |approximately |~)?\d+\s*(?:seconds?|secs?|s|minutes?|mins?|m|hours?|hrs?|h|days?|d)\b(?:,?\s*(?:and\s*)?\d+\s*(?:minutes?|mins?|m|seconds?|secs?|s)\b)?|\d{1,2}(?::\d{2}\s*(?:[ap]\.?m\.?)?|\s*[ap]\.?m\.?)(?:\s+[A-Z]{2,4}\b)?|tomorrow|[A-Z][a-z]+ \d{1,2}(?:,? \d{4})?)/i;
+
+const UNIT_MS = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+function isVisible(el) {
+  return !!el && el.isConnected && el.offsetParent !== null;
+}
+
+function textOf(el) {
+  return (el.innerText ?? el.textContent ?? '').replace(/\s+/g, ' ').trim();
+}
+
+// "2 hours 30 minutes" → ms; clock times ("5:00 PM") → ms until their next occurrence
+function retryAfterMs(raw) {
+  const durations = [...raw.matchAll(/(\d+)\s*(s|sec|m|min|h|hr|hour|d|day)/gi)];
+  if (durations.length > 0 && !/[:]|[ap]\.?m\b/i.test(raw)) {
+    return durations.reduce((sum, [, n, unit]) => sum + Number(n) * UNIT_MS[unit[0].toLowerCase()], 0);
+  }
+  const clock = raw.match(/^(\d{1,2})(?::(\d{2}))?\s*([ap])?/i);
+  if (clock && (clock[2] || clock[3])) {
+    let hours = Number(clock[1]);
+    if (clock[3]) hours = hours % 12 + (clock[3].toLowerCase() === 'p' ? 12 : 0);
+    const at = new Date();
+    at.setHours(hours, Number(clock[2] || 0), 0, 0);
+    if (at <= Date.now()) at.setDate(at.getDate() + 1);
+    return at - Date.now();
+  }
+  return null;
+}
+
+/**
+ * Classify a piece of page text as a chat error.
+ *
+ * @param {string} text
+ * @returns {{ code: string, message: string, retryAfter: string|null, retryAfterMs: number|null }|null}
+ */
+export function classifyErrorText(text) {
+  const message = (text || '').replace(/\s+/g, ' ').trim();
+  if (!message || message.length > MAX_NOTICE_LENGTH) return null;
+  const rule = ERROR_RULES.find(r => r.pattern.test(message));
+  if (!rule) return null;
+  const retry = message.match(RETRY_AFTER);
+  const retryAfter = retry ? retry[1].trim().replace(/\.$/, '') : null;
+  return { code: rule.code, message, retryAfter, retryAfterMs: retryAfter ? retryAfterMs(retryAfter) : null };
+}
+
+/**
+ * The error an element shows, if it is an error notice rather than content:
+ * its text classifies as an error, and it sits in a banner/alert/dialog or
+ * is as short as an error bubble. Lets response extractors skip banners.
+ *
+ * @param {HTMLElement} el
+ * @param {string} [text] - The element's text, if already read.
+ * @returns {object|null} See classifyErrorText.
+ */
+export function errorNoticeOf(el, text) {
+  const value = text ?? textOf(el);
+  const error = classifyErrorText(value);
+  if (!error) return null;
+  return value.length <= MAX_TURN_LENGTH || el.closest(NOTICE_SELECTOR) ? error : null;
+}
+
+// The conversation and the composer around the input
+function chatRoots(components) {
+  const { input, container } = components;
+  const composer = input?.closest('form, fieldset, [class*="composer" i]') || input?.parentElement?.parentElement;
+  return [container, composer].filter(Boolean);
+}
+
+// A page dialog only counts as a login wall
+function isPageNotice(el) {
+  return !el.matches('[role="dialog"]') || !!el.querySelector('input[type="password"]');
+}
+
+// Everywhere an error could show for this chat: notices inside the chat's own
+// roots and (unless chatOnly) alerts elsewhere on the page, then the last reply
+function candidates(components, chatOnly = false) {
+  const { input, container } = components;
+  const found = [];
+  const inChat = chatRoots(components).flatMap(root => [...root.querySelectorAll(NOTICE_SELECTOR)]);
+  const onPage = chatOnly ? [] : [...document.querySelectorAll(PAGE_NOTICE_SELECTOR)].filter(isPageNotice);
+  const notices = [...new Set([...inChat, ...onPage])]
+    .filter(el => isVisible(el) && !el.contains(input) && textOf(el))
+    // Prefer the banner itself over the page section that merely contains it
+    .filter((el, _, all) => !all.some(other => other !== el && el.contains(other) && textOf(other) === textOf(el)));
+  notices.forEach(el => found.push({ el, source: el.closest('[role="dialog"], [role="alertdialog"]') ? 'dialog' : 'notice' }));
+
+  // An error rendered as the reply: a short, error-styled last bubble that isn't ours.
+  // Plain reply text is never classified, however it is worded.
+  const turns = container ? findTurns(container) : [];
+  const last = turns[turns.length - 1];
+  const errorStyled = last && (last.el.matches(ERROR_STYLE_SELECTOR) || !!last.el.querySelector(ERROR_STYLE_SELECTOR));
+  if (last && last.role !== 'user' && last.text.length <= MAX_TURN_LENGTH && errorStyled) found.push({ el: last.el, source: 'turn' });
+
+  return found;
+}
+
+/**
+ * Texts of the error-capable elements showing right now, for detectChatError's
+ * `baseline`. Capture it before sending.
+ *
+ * @param {object} [components] - The detected chat components ({ input, container }).
+ * @returns {Set<string>}
+ */
+export function errorBaseline(components = {}) {
+  return new Set(candidates(components).map(c => textOf(c.el)));
+}
+
+/**
+ * Find an error, limit or login-wall state near the chat.
+ *
+ * @param {object} [components] - The detected chat components ({ input, container }).
+ * @param {object} [options]
+ * @param {Set<string>} [options.baseline] - From errorBaseline; text in it is ignored.
+ * @param {Array<string>} [options.codes] - Only report these codes.
+ * @param {Array<string>} [options.sources] - Only look at these sources ('notice', 'dialog', 'turn').
+ * @param {boolean} [options.chatOnly=false] - Only look inside the conversation and the composer, not at page alerts.
+ * @returns {{ code: string, message: string, retryAfter: string|null, retryAfterMs: number|null, source: string, el: HTMLElement }|null}
+ */
+export function detectChatError(components = {}, options = {}) {
+  const { baseline, codes, sources, chatOnly } = options;
+  for (const { el, source } of candidates(components, chatOnly)) {
+    if (sources && !sources.includes(source)) continue;
+    const text = textOf(el);
+    if (baseline?.has(text)) continue;
+    let error = classifyErrorText(text);
+    // A login form popping up is a login wall whatever its wording
+    if (!error && source === 'dialog' && el.querySelector('input[type="password"]')) {
+      error = { code: 'auth_required', message: text.slice(0, MAX_NOTICE_LENGTH), retryAfter: null, retryAfterMs: null };
+    }
+    if (error && (!codes || codes.includes(error.code))) return { ...error, source, el };
+  }
+  return null;
+}
+
+/**
+ * Resolve with the first new error within `timeout` ms, or null. Resolves
+ * null early once `until()` returns true (e.g. the reply started streaming).
+ *
+ * @param {object} components - The detected chat components ({ input, container }).
+ * @param {object} options
+ * @param {Set<string>} options.baseline - From errorBaseline.
+ * @param {number} options.timeout
+ * @param {function} [options.until]
+ * @param {Array<string>} [options.sources] - See detectChatError.
+ * @returns {Promise<object|null>}
+ */
+export function waitForChatError(components, options) {
+  const { baseline, timeout, until, sources } = options;
+  return new Promise(resolve => {
+    const start = Date.now();
+    const poll = () => {
+      const error = detectChatError(components, { baseline, sources });
+      if (error || (until && until()) || Date.now() - start >= timeout) {
+        resolve(error);
+        return;
+      }
+      setTimeout(poll, 250);
+    };
+    poll();
+  });
+}
+
+/**
+ * The failure result chat actions return for a detected error.
+ *
+ * @param {object} error - From detectChatError.
+ * @returns {{ success: false, error: string, code: string, retryAfter: string|null, retryAfterMs: number|null }}
+ */
+export function errorResult(error) {
+  return { success: false, error: error.message, code: error.code, retryAfter: error.retryAfter, retryAfterMs: error.retryAfterMs };
+}
@@ -0,0 +1,236 @@
+// ============================================
+// CHAT MODEL PICKER
+// ============================================
+
+import { PatternVerifier } from '../llm/state-machine.js';
+
+/**
+ * The model/mode selector next to a chat composer. It is a dropdown like any
+ * other, but it is told apart from the rest by its label ("model" in the
+ * test id or aria-label) or by a trigger text that names a model family.
+ * Only the composer, the chat's surroundings and the page header are searched,
+ * so an unrelated dropdown elsewhere on the page is never taken for it.
+ */
+
+const TRIGGER_SELECTOR = 'button, [role="button"], [role="combobox"], [aria-haspopup]';
+const MENU_SELECTOR = '[role="menu"], [role="listbox"]';
+const OPTION_SELECTOR = '[role="menuitem"], [role="menuitemradio"], [role="menuitemcheckbox"], [role="option"]';
+
+const MODEL_LABEL = /model|mode[\s_-]?(picker|select|switch)/i;
+// Vendor and model family names; generic words ("turbo", "flash", "thinking") only count next to one
+const MODEL_NAME = /\b(gpt|claude|sonnet|opus|haiku|gemini|grok|llama|mistral|mixtral|deepseek|qwen|command[\s-]?r|o\d-(mini|pro|preview))\b/i;
+
+function isVisible(el) {
+  return !!el && el.isConnected && el.offsetParent !== null;
+}
+
+function label(el) {
+  return `${el.getAttribute('aria-label') || ''} ${el.getAttribute('data-testid') || ''} ${el.title || ''}`;
+}
+
+function text(el) {
+  return (el.innerText ?? el.textContent ?? '').trim();
+}
+
+function pickerScore(el) {
+  if (!isVisible(el)) return 0;
+  const isTrigger = el.hasAttribute('aria-haspopup') || el.hasAttribute('aria-expanded') || el.getAttribute('role') === 'combobox';
+  let score = 0;
+  if (MODEL_LABEL.test(label(el))) score += 3;
+  if (MODEL_NAME.test(text(el))) score += 2;
+  if (isTrigger) score += 1;
+  // Must look like a dropdown and say something about models
+  return isTrigger && score > 1 ? score : 0;
+}
+
+/**
+ * Find the model picker trigger near the chat composer, falling back to the
+ * page header (many UIs put it there).
+ *
+ * @param {object} components - The detected chat components ({ input, container }).
+ * @returns {HTMLElement|null}
+ */
+export function findModelPicker(components) {
+  const { input, container } = components;
+  const roots = [
+    input?.closest('form'),
+    input?.closest('[class*="composer"]'),
+    input?.parentElement?.parentElement?.parentElement,
+    container?.parentElement,
+    ...document.querySelectorAll('header, [role="banner"]')
+  ].filter(root => root && root !== document.body && root !== document.documentElement);
+
+  for (const root of roots) {
+    let best = null;
+    let bestScore = 0;
+    for (const el of root.querySelectorAll(TRIGGER_SELECTOR)) {
+      const score = pickerScore(el);
+      if (score > bestScore) {
+        best = el;
+        bestScore = score;
+      }
+    }
+    if (best) return best;
+  }
+  return null;
+}
+
+function pollFor(fn, timeout) {
+  return new Promise(resolve => {
+    const start = Date.now();
+    const poll = () => {
+      const value = fn();
+      if (value || Date.now() - start > timeout) {
+        resolve(value || null);
+        return;
+      }
+      setTimeout(poll, 50);
+    };
+    poll();
+  });
+}
+
+function findMenu(trigger, exclude = []) {
+  const controlled = trigger.getAttribute('aria-controls');
+  const byId = controlled && document.getElementById(controlled);
+  if (isVisible(byId) && !exclude.includes(byId)) return byId;
+  // Portalled menus: the most recently added visible one
+  const menus = [...document.querySelectorAll(MENU_SELECTOR)].filter(m => isVisible(m) && !exclude.includes(m));
+  return menus[menus.length - 1] || null;
+}
+
+/**
+ * Open a menu trigger. Radix-style menus open on pointerdown, others on click.
+ *
+ * @returns {Promise<HTMLElement|null>} The opened menu.
+ */
+async function openMenu(trigger, exclude = []) {
+  const already = trigger.getAttribute('aria-expanded') === 'true' && findMenu(trigger, exclude);
+  if (already) return already;
+
+  trigger.dispatchEvent(new PointerEvent('pointerdown', { bubbles: true, cancelable: true, button: 0, pointerType: 'mouse' }));
+  let menu = await pollFor(() => findMenu(trigger, exclude), 300);
+  if (!menu) {
+    trigger.click();
+    menu = await pollFor(() => findMenu(trigger, exclude), 1000);
+  }
+  return menu;
+}
+
+function closeMenu(trigger, menu) {
+  const target = menu?.isConnected ? menu : document.activeElement || document.body;
+  target.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', code: 'Escape', keyCode: 27, bubbles: true, cancelable: true }));
+  if (trigger.getAttribute('aria-expanded') === 'true') trigger.click();
+}
+
+function describeOption(option) {
+  const lines = text(option).split('\n').map(l => l.trim()).filter(Boolean);
+  const state = option.getAttribute('data-state');
+  return {
+    name: lines[0] || option.getAttribute('aria-label') || '',
+    description: lines.slice(1).join(' ') || null,
+    selected: option.getAttribute('aria-checked') === 'true' ||
+      option.getAttribute('aria-selected') === 'true' ||
+      state === 'checked' || state === 'on',
+    disabled: option.getAttribute('aria-disabled') === 'true' || option.hasAttribute('data-disabled'),
+    submenu: option.hasAttribute('aria-haspopup'),
+    el: option
+  };
+}
+
+function readOptions(menu) {
+  return [...menu.querySelectorAll(OPTION_SELECTOR)].map(describeOption).filter(o => o.name);
+}
+
+function strip(option) {
+  const { el, ...rest } = option;
+  return rest;
+}
+
+/**
+ * The text of the model picker trigger.
+ *
+ * @param {object} components - The detected chat components ({ input, container }).
+ * @returns {string|null}
+ */
+export function getCurrentModel(components) {
+  const picker = components.modelPicker ?? findModelPicker(components);
+  if (!picker) return null;
+  return text(picker) || picker.getAttribute('aria-label') || null;
+}
+
+/**
+ * Open the model picker, read its options, and close it again.
+ *
+ * @param {object} components - The detected chat components ({ input, container }).
+ * @returns {Promise<{ success: boolean, current?: string, models?: Array<{ name: string, description: string|null, selected: boolean, disabled: boolean, submenu: boolean }>, error?: string }>}
+ */
+export async function listModels(components) {
+  const picker = components.modelPicker ?? findModelPicker(components);
+  if (!picker) return { success: false, error: 'No model picker found' };
+
+  const menu = await openMenu(picker);
+  if (!menu) return { success: false, error: 'Model menu did not open' };
+
+  const models = readOptions(menu).map(strip);
+  closeMenu(picker, menu);
+  return { success: true, current: getCurrentModel(components), models };
+}
+
+function matchOption(options, name) {
+  const wanted = name.trim().toLowerCase();
+  return options.find(o => o.name.toLowerCase() === wanted) ||
+    options.find(o => o.name.toLowerCase().includes(wanted)) ||
+    null;
+}
+
+/**
+ * Select a model by name (exact, then substring, case-insensitive) and verify
+ * that the picker's trigger text changed. Options nested one submenu deep
+ * (e.g. "More models") are searched too.
+ *
+ * @param {object} components - The detected chat components ({ input, container }).
+ * @param {string} name - The model to select.
+ * @param {function} [log] - Optional logging function with signature (type, msg).
+ * @returns {Promise<{ success: boolean, model?: string, previous?: string, verification?: object, error?: string }>}
+ */
+export async function selectModel(components, name, log) {
+  const logFn = log || (() => {});
+  const picker = components.modelPicker ?? findModelPicker(components);
+  if (!picker) return { success: false, error: 'No model picker found' };
+
+  const previous = getCurrentModel(components);
+  const menu = await openMenu(picker);
+  if (!menu) return { success: false, error: 'Model menu did not open' };
+
+  const options = readOptions(menu);
+  let option = matchOption(options, name);
+
+  for (const sub of options.filter(o => o.submenu)) {
+    if (option) break;
+    const nested = await openMenu(sub.el, [menu]);
+    if (nested) option = matchOption(readOptions(nested), name);
+  }
+
+  if (!option) {
+    closeMenu(picker, menu);
+    return { success: false, previous, error: `No model matching "${name}"` };
+  }
+  // A selected option would not change the trigger text, so don't click it
+  if (option.selected || previous?.toLowerCase() === option.name.toLowerCase()) {
+    closeMenu(picker, menu);
+    return { success: true, model: option.name, previous };
+  }
+  if (option.disabled) {
+    closeMenu(picker, menu);
+    return { success: false, previous, error: `Model "${option.name}" is disabled` };
+  }
+
+  logFn('info', `Selecting model "${option.name}"`);
+  const verifier = new PatternVerifier('chat', { ...components, trigger: picker, menu }, logFn);
+  const result = await verifier.verify('selectModel', () => option.el.click());
+
+  return result.passed
+    ? { success: true, model: getCurrentModel(components), previous, verification: result }
+    : { success: false, previous, error: 'Model picker text did not change', verification: result };
+}
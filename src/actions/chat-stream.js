@@ -0,0 +1,221 @@
+// ============================================
+// CHAT STREAMING
+// ============================================
+
+import { findTurns } from './chat-turns.js';
+
+/**
+ * Follows assistant turns as they render and reports a start/delta/complete
+ * lifecycle for each one.
+ *
+ * Completion is inferred, since chat UIs don't announce it. Signals, in order:
+ *   'stop-button-gone' - a stop-generation button was seen and has disappeared
+ *   'send-enabled'     - the send button was disabled during the reply and is enabled again
+ *   'text-stable'      - the reply text hasn't changed for `stableMs`
+ *   'timeout'          - the reply has been streaming for longer than `maxMs`
+ * A visible stop button suppresses 'text-stable' (the model may be thinking).
+ * A completed turn that changes again (a continued or regenerated reply)
+ * starts over with a 'start' event carrying `reopened: true`.
+ */
+
+const STOP_SELECTORS = [
+  'button[aria-label*="stop" i]',
+  'button[data-testid*="stop" i]',
+  'button[title*="stop" i]',
+  '[role="button"][aria-label*="stop" i]'
+];
+
+// Stop buttons that control audio, not generation
+const NOT_GENERATION = /record|dictat|listen|voice|mic|audio|speak|read aloud/i;
+
+function isVisible(el) {
+  return !!el && el.isConnected && el.offsetParent !== null;
+}
+
+function buttonLabel(btn) {
+  return `${btn.getAttribute('aria-label') || ''} ${btn.getAttribute('data-testid') || ''} ${btn.title || ''} ${btn.textContent || ''}`;
+}
+
+/**
+ * Find a visible stop-generation button in the composer around the chat
+ * input. The rest of the page is not searched: media players and other
+ * widgets have "Stop" buttons too.
+ *
+ * @param {object} components - The detected chat components ({ input, container }).
+ * @returns {HTMLElement|null}
+ */
+export function findStopButton(components) {
+  const { input, container } = components;
+  const roots = (input ? [
+    input.closest('form'),
+    input.closest('fieldset'),
+    input.closest('[class*="composer"]'),
+    input.parentElement?.parentElement?.parentElement
+  ] : [container?.parentElement]).filter(Boolean);
+
+  for (const root of roots) {
+    for (const sel of STOP_SELECTORS) {
+      for (const btn of root.querySelectorAll(sel)) {
+        if (isVisible(btn) && !NOT_GENERATION.test(buttonLabel(btn))) return btn;
+      }
+    }
+  }
+
+  // Text-only buttons ("Stop generating", "Stop")
+  for (const root of roots) {
+    const btn = [...root.querySelectorAll('button, [role="button"]')].find(b =>
+      /^stop( generating| response)?$/i.test(b.textContent?.trim() || '') && isVisible(b)
+    );
+    if (btn) return btn;
+  }
+
+  return null;
+}
+
+/**
+ * Whether the chat is currently generating a reply (a stop button is showing).
+ *
+ * @param {object} components - The detected chat components ({ input, container }).
+ * @returns {boolean}
+ */
+export function isGenerating(components) {
+  return !!findStopButton(components);
+}
+
+function isDisabled(btn) {
+  return !!btn && (btn.disabled || btn.getAttribute('aria-disabled') === 'true');
+}
+
+/**
+ * Streams assistant replies from a chat container.
+ *
+ * The callback receives, per assistant turn:
+ *   { type: 'start', index, role, el, timestamp }
+ *   { type: 'delta', index, role, el, delta, text, replaced, timestamp }
+ *   { type: 'complete', index, role, el, text, reason, durationMs, timestamp }
+ * Concatenating the deltas of a turn yields its text, unless the UI rewrote
+ * earlier text, in which case the delta carries the whole text and `replaced: true`.
+ *
+ * @param {object} components - The detected chat components ({ container, input, sendButton }).
+ * @param {function} callback - Called with each lifecycle event.
+ * @param {object} [options]
+ * @param {number} [options.stableMs=1500] - Quiet period before 'text-stable' completes a turn.
+ * @param {number} [options.settleMs=300] - Quiet period required alongside button signals.
+ * @param {number} [options.maxMs=120000] - Hard limit per turn.
+ * @param {number} [options.pollMs=250] - How often completion signals are checked.
+ * @param {number} [options.fallbackMs=2000] - How often turns are rescanned without a mutation
+ *   (for changes the MutationObserver can't see, e.g. inside shadow roots).
+ * @returns {function|null} A disconnect function to stop streaming, or null if no container.
+ */
+export function chatStream(components, callback, options = {}) {
+  const { container } = components;
+  if (!container) return null;
+
+  const stableMs = options.stableMs ?? 1500;
+  const settleMs = options.settleMs ?? 300;
+  const maxMs = options.maxMs ?? 120000;
+  const pollMs = options.pollMs ?? 250;
+  const fallbackMs = options.fallbackMs ?? 2000;
+
+  // Existing turns only count if they keep growing (attached mid-reply)
+  const baseline = new Map(findTurns(container).map(t => [t.el, t.text]));
+  const active = new Map();
+  // Completed turns and their final text; a turn whose text moves on is reopened
+  const completed = new WeakMap();
+
+  const emit = (type, el, state, extra) => {
+    try {
+      callback({ type, index: state.index, role: 'assistant', el, ...extra, timestamp: Date.now() });
+    } catch (e) {
+      console.warn('[UC] chatStream callback threw:', e);
+    }
+  };
+
+  const complete = (el, state, reason) => {
+    active.delete(el);
+    completed.set(el, state.text);
+    emit('complete', el, state, { text: state.text, reason, durationMs: Date.now() - state.startedAt });
+  };
+
+  const scan = () => {
+    const now = Date.now();
+    for (const turn of findTurns(container)) {
+      if (turn.role !== 'assistant') continue;
+      if (completed.has(turn.el) && completed.get(turn.el) === turn.text) continue;
+
+      let state = active.get(turn.el);
+      if (!state) {
+        if (baseline.has(turn.el) && baseline.get(turn.el) === turn.text) continue;
+        const reopened = completed.has(turn.el);
+
+        // A new reply supersedes any earlier one still open
+        for (const [el, prev] of active) complete(el, prev, 'superseded');
+
+        state = {
+          index: turn.index,
+          text: reopened ? completed.get(turn.el) : baseline.get(turn.el) || '',
+          startedAt: now,
+          lastChangeAt: now,
+          sawStop: false,
+          sawSendDisabled: false
+        };
+        completed.delete(turn.el);
+        active.set(turn.el, state);
+        emit('start', turn.el, state, reopened ? { reopened: true } : {});
+      }
+
+      if (turn.text !== state.text) {
+        const replaced = !turn.text.startsWith(state.text);
+        const delta = replaced ? turn.text : turn.text.slice(state.text.length);
+        state.text = turn.text;
+        state.index = turn.index;
+        state.lastChangeAt = now;
+        emit('delta', turn.el, state, { delta, text: turn.text, replaced });
+      }
+    }
+  };
+
+  const checkCompletion = () => {
+    if (active.size === 0) return;
+    const now = Date.now();
+    const stopVisible = isGenerating(components);
+    const sendDisabled = isDisabled(components.sendButton);
+
+    for (const [el, state] of active) {
+      if (stopVisible) state.sawStop = true;
+      if (sendDisabled) state.sawSendDisabled = true;
+      const quiet = now - state.lastChangeAt;
+
+      let reason = null;
+      if (now - state.startedAt > maxMs) reason = 'timeout';
+      else if (stopVisible) continue;
+      else if (state.sawStop && quiet >= settleMs) reason = 'stop-button-gone';
+      else if (state.sawSendDisabled && !sendDisabled && quiet >= settleMs) reason = 'send-enabled';
+      else if (quiet >= stableMs) reason = 'text-stable';
+
+      if (reason) complete(el, state, reason);
+    }
+  };
+
+  // Mutations arrive per token; coalesce them into one scan
+  let pending = null;
+  const observer = new MutationObserver(() => {
+    if (pending) return;
+    pending = setTimeout(() => {
+      pending = null;
+      scan();
+    }, 50);
+  });
+  observer.observe(container, { childList: true, subtree: true, characterData: true });
+
+  // Completion signals are cheap to check; a full turn scan only runs on mutations and a slow fallback
+  const timer = setInterval(checkCompletion, pollMs);
+  const fallback = setInterval(scan, fallbackMs);
+
+  return () => {
+    observer.disconnect();
+    clearInterval(timer);
+    clearInterval(fallback);
+    clearTimeout(pending);
+  };
+}
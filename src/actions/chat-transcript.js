@@ -0,0 +1,341 @@
+// ============================================
+// CHAT TRANSCRIPT HARVESTING
+// ============================================
+
+import { findTurns } from './chat-turns.js';
+import { serializeTurn, chatGetMessages, withReasoning } from './chat-api.js';
+
+/**
+ * Collects a whole conversation from a virtualized chat list, where only the
+ * turns near the viewport are rendered. The scroller is walked from the bottom
+ * to the top a viewport at a time; each step waits for the DOM to settle (and,
+ * at the top, for lazily loaded history to arrive), then merges the rendered
+ * turns into one ordered transcript.
+ *
+ * Turns are matched across steps by message id (see messageId), falling back
+ * to role + text, since virtualized lists recreate nodes as they scroll. Each
+ * step is a contiguous window of the conversation, so it is aligned with the
+ * transcript as a whole: two identical "continue" turns are told apart by
+ * their position, not merged.
+ */
+
+function isScrollable(el) {
+  if (!el || el.scrollHeight <= el.clientHeight) return false;
+  try {
+    return ['auto', 'scroll', 'overlay'].includes(getComputedStyle(el).overflowY);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Find the element that scrolls the conversation: the container, an
+ * ancestor, or a descendant a few levels down.
+ *
+ * @param {HTMLElement} container
+ * @returns {HTMLElement}
+ */
+export function findScroller(container) {
+  for (let cur = container; cur && cur !== document.body; cur = cur.parentElement) {
+    if (isScrollable(cur)) return cur;
+  }
+  let frontier = [...container.children];
+  for (let depth = 0; depth < 4 && frontier.length > 0; depth++) {
+    const found = frontier.find(isScrollable);
+    if (found) return found;
+    frontier = frontier.flatMap(el => [...el.children]);
+  }
+  return document.scrollingElement || document.documentElement;
+}
+
+/**
+ * The time a message was sent, if the bubble shows one (a <time> element or
+ * a timestamp tooltip).
+ *
+ * @param {HTMLElement} el - The bubble element.
+ * @returns {string|null} ISO 8601 when parseable, otherwise the raw text.
+ */
+export function turnTime(el) {
+  const time = el.querySelector('time[datetime], time, [data-timestamp]');
+  const raw = time?.getAttribute('datetime') || time?.getAttribute('data-timestamp') || time?.getAttribute('title') || time?.textContent?.trim();
+  if (!raw) return null;
+  const date = new Date(/^\d{10,13}$/.test(raw) ? Number(raw) * (raw.length === 10 ? 1000 : 1) : raw);
+  // Labels without a year ("2:14 PM", "Yesterday") aren't real dates
+  return isNaN(date) || !/\d{4}/.test(raw) ? raw : date.toISOString();
+}
+
+function turnKey(turn) {
+  return turn.id ?? `${turn.role}:${turn.text}`;
+}
+
+/**
+ * Resolve after `quietMs` without mutations under `target`, or after `maxMs`.
+ */
+function waitForQuiet(target, quietMs, maxMs) {
+  return new Promise(resolve => {
+    let quiet;
+    const done = () => {
+      observer.disconnect();
+      clearTimeout(quiet);
+      clearTimeout(cap);
+      resolve();
+    };
+    const observer = new MutationObserver(() => {
+      clearTimeout(quiet);
+      quiet = setTimeout(done, quietMs);
+    });
+    observer.observe(target, { childList: true, subtree: true, characterData: true });
+    quiet = setTimeout(done, quietMs);
+    const cap = setTimeout(done, maxMs);
+  });
+}
+
+/**
+ * Resolve true on the first added node under `target`, false after `timeout`.
+ */
+function waitForGrowth(target, timeout) {
+  return new Promise(resolve => {
+    const observer = new MutationObserver(mutations => {
+      if (mutations.some(m => m.addedNodes.length > 0)) finish(true);
+    });
+    const finish = (grew) => {
+      observer.disconnect();
+      clearTimeout(timer);
+      resolve(grew);
+    };
+    observer.observe(target, { childList: true, subtree: true });
+    const timer = setTimeout(() => finish(false), timeout);
+  });
+}
+
+// Infinite-scroll loaders listen for scroll and wheel, not scrollTop writes at 0
+function nudgeUp(scroller, step) {
+  scroller.dispatchEvent(new WheelEvent('wheel', { deltaY: -step, bubbles: true, cancelable: true }));
+  scroller.dispatchEvent(new Event('scroll'));
+}
+
+/**
+ * Where a window of turn keys sits in the transcript: the offset of its first
+ * turn (negative when it starts earlier) at which every overlapping key
+ * matches. The walk moves up, so the window may reach above the transcript
+ * but not below it. The largest overlap wins, then the earliest offset.
+ *
+ * @returns {number|null} Null if no offset overlaps consistently.
+ */
+function alignBatch(merged, keys) {
+  let best = null;
+  for (let offset = 1 - keys.length; offset + keys.length <= merged.length; offset++) {
+    let overlap = 0;
+    let consistent = true;
+    for (let i = Math.max(0, -offset); i < keys.length && offset + i < merged.length; i++) {
+      if (merged[offset + i].key !== keys[i]) {
+        consistent = false;
+        break;
+      }
+      overlap++;
+    }
+    if (consistent && overlap > 0 && (!best || overlap > best.overlap)) best = { offset, overlap };
+  }
+  return best ? best.offset : null;
+}
+
+/**
+ * Merge the turns rendered at one scroll position into the transcript.
+ * Turns before the aligned overlap are earlier history and go in front. A
+ * window that doesn't line up (a reply still changing, new turns at the
+ * bottom) falls back to matching turns by key: turns after a known one go
+ * right after their predecessor.
+ *
+ * @param {Array<object>} merged - Transcript entries, oldest first (mutated).
+ * @param {Array<object>} batch - The currently rendered turns, in order.
+ * @param {function} capture - Turns a rendered turn into a transcript entry.
+ * @returns {number} How many new turns were added.
+ */
+function mergeBatch(merged, batch, capture) {
+  const keys = batch.map(turnKey);
+  const offset = alignBatch(merged, keys);
+  if (offset !== null) {
+    const earlier = batch.slice(0, Math.max(0, -offset)).map(capture);
+    merged.unshift(...earlier);
+    return earlier.length;
+  }
+
+  const position = new Map(merged.map((entry, i) => [entry.key, i]));
+  const anchor = keys.findIndex(key => position.has(key));
+
+  if (anchor === -1) {
+    // No overlap: the whole batch is earlier than anything seen so far
+    merged.unshift(...batch.map(capture));
+    return batch.length;
+  }
+
+  const earlier = batch.slice(0, anchor).map(capture);
+  merged.splice(position.get(keys[anchor]), 0, ...earlier);
+  let added = earlier.length;
+
+  let insertAt = merged.findIndex(entry => entry.key === keys[anchor]) + 1;
+  batch.slice(anchor + 1).forEach((turn, i) => {
+    const known = merged.findIndex(entry => entry.key === keys[anchor + 1 + i]);
+    if (known !== -1) {
+      insertAt = known + 1;
+      return;
+    }
+    merged.splice(insertAt++, 0, capture(turn));
+    added++;
+  });
+  return added;
+}
+
+/**
+ * Scroll through the conversation and return every turn, oldest first, then
+ * restore the scroll position (keeping the same content in view if history
+ * was loaded above it).
+ *
+ * @param {object} components - The detected chat components ({ container }).
+ * @param {object} [options]
+ * @param {number} [options.quietMs=300] - Mutation-free period that ends a step.
+ * @param {number} [options.stepTimeout=2000] - Max ms to wait for a step to settle.
+ * @param {number} [options.loadTimeout=3000] - Max ms to wait for more history at the top.
+ * @param {number} [options.maxSteps=500] - Safety limit on scroll steps.
+ * @param {string} [options.format] - 'markdown' or 'ast' to also serialize each turn.
+ * @returns {Promise<{ success: boolean, turns?: Array<{ index: number, id: string|null, role: string, text: string, reasoning: string|null, sentAt: string|null, markdown?: string, ast?: object }>,
+ *   complete?: boolean, steps?: number, durationMs?: number, error?: string }>}
+ */
+export async function harvestTranscript(components, options = {}) {
+  const { container } = components;
+  if (!container) return { success: false, error: 'No container found' };
+
+  const quietMs = options.quietMs ?? 300;
+  const stepTimeout = options.stepTimeout ?? 2000;
+  const loadTimeout = options.loadTimeout ?? 3000;
+  const maxSteps = options.maxSteps ?? 500;
+  const startedAt = Date.now();
+
+  const scroller = findScroller(container);
+  const fromBottom = scroller.scrollHeight - scroller.scrollTop;
+
+  const capture = (turn) => {
+    // Reasoning stays collapsed: expanding it mid-walk would shift the scroll offsets
+    const { text, reasoning } = withReasoning(turn);
+    return {
+      key: turnKey(turn),
+      id: turn.id,
+      role: turn.role,
+      roleSource: turn.roleSource,
+      text,
+      reasoning,
+      sentAt: turnTime(turn.el),
+      ...serializeTurn(turn.el, options.format)
+    };
+  };
+
+  const merged = [];
+  const collect = () => mergeBatch(merged, findTurns(container), capture);
+
+  let steps = 0;
+  let complete = false;
+  try {
+    // Virtualized lists don't render below the viewport either: start at the bottom
+    scroller.scrollTop = scroller.scrollHeight;
+    await waitForQuiet(container, quietMs, stepTimeout);
+    collect();
+
+    while (steps < maxSteps) {
+      steps++;
+      const step = Math.max(100, Math.floor(scroller.clientHeight * 0.8));
+
+      if (scroller.scrollTop > 0) {
+        scroller.scrollTop = Math.max(0, scroller.scrollTop - step);
+        await waitForQuiet(container, quietMs, stepTimeout);
+        collect();
+        continue;
+      }
+
+      // At the top: more history may load on demand
+      const heightBefore = scroller.scrollHeight;
+      const growth = waitForGrowth(container, loadTimeout);
+      nudgeUp(scroller, step);
+      const grew = await growth;
+      if (grew) await waitForQuiet(container, quietMs, stepTimeout);
+      const added = collect();
+      if (!grew && added === 0 && scroller.scrollHeight === heightBefore) {
+        complete = true;
+        break;
+      }
+    }
+  } finally {
+    scroller.scrollTop = scroller.scrollHeight - fromBottom;
+  }
+
+  const turns = merged.map(({ key, ...entry }, index) => ({ index, ...entry }));
+  return { success: true, turns, complete, steps, durationMs: Date.now() - startedAt };
+}
+
+// ============================================
+// TRANSCRIPT EXPORT
+// ============================================
+
+const ROLE_TITLES = { user: 'User', assistant: 'Assistant', system: 'System', other: 'Other' };
+
+function toOpenAI(turns, options) {
+  // OpenAI roles can't express unattributed turns; keep them only on request
+  return turns
+    .filter(t => t.role !== 'other' || options.includeOther)
+    .map(t => ({ role: t.role === 'other' ? 'user' : t.role, content: options.markdown ? t.markdown : t.text }));
+}
+
+function toMarkdownDoc(turns, meta) {
+  const header = [`# ${meta.title || 'Conversation'}`, `_Exported ${meta.exportedAt} from ${meta.url}_`];
+  const body = turns.map(t => `### ${ROLE_TITLES[t.role] || t.role}\n\n${t.markdown || t.text}`);
+  return [...header, ...body].join('\n\n') + '\n';
+}
+
+function toJSONL(turns, meta) {
+  return turns.map(t => JSON.stringify({
+    index: t.index,
+    id: t.id,
+    role: t.role,
+    roleSource: t.roleSource,
+    content: t.text,
+    markdown: t.markdown,
+    reasoning: t.reasoning,
+    sentAt: t.sentAt,
+    exportedAt: meta.exportedAt,
+    url: meta.url,
+    title: meta.title
+  })).join('\n');
+}
+
+/**
+ * Export the conversation in a downstream-friendly format:
+ *   'openai'   - [{ role, content }] chat messages ('other' turns dropped unless includeOther)
+ *   'markdown' - a readable document, one "### Role" section per turn
+ *   'jsonl'    - one JSON object per line with ids, roles, reasoning, timestamps and page metadata
+ *
+ * @param {object} components - The detected chat components ({ container }).
+ * @param {string} [format='openai'] - 'openai', 'markdown' or 'jsonl'.
+ * @param {object} [options]
+ * @param {boolean} [options.harvest=false] - Scroll for the full history first (see harvestTranscript).
+ * @param {boolean} [options.markdown=false] - For 'openai', use Markdown instead of plain text as content.
+ * @param {boolean} [options.includeOther=false] - For 'openai', keep unattributed turns (as 'user').
+ * @returns {Promise<Array<{ role: string, content: string }>|string|{ success: false, error: string }>}
+ */
+export async function exportTranscript(components, format = 'openai', options = {}) {
+  if (!['openai', 'markdown', 'jsonl'].includes(format)) {
+    return { success: false, error: `Unknown format: ${format}` };
+  }
+
+  let turns;
+  if (options.harvest) {
+    const harvested = await harvestTranscript(components, { ...options, format: 'markdown' });
+    if (!harvested.success) return harvested;
+    turns = harvested.turns;
+  } else {
+    turns = chatGetMessages(components, { format: 'markdown' }).map(t => ({ ...t, sentAt: turnTime(t.el) }));
+  }
+
+  const meta = { url: location.href, title: document.title, exportedAt: new Date().toISOString() };
+  if (format === 'markdown') return toMarkdownDoc(turns, meta);
+  if (format === 'jsonl') return toJSONL(turns, meta);
+  return toOpenAI(turns, options);
+}
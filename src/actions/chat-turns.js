@@ -0,0 +1,280 @@
+// ============================================
+// CHAT TURN DISCOVERY
+// ============================================
+
+import { getReactFiber } from '../llm/heap-scanner.js';
+
+/**
+ * Groups the rendered content of a chat container into message bubbles
+ * ("turns") and attributes each one to a speaker.
+ *
+ * Bubbles are found structurally: the turn list is the element under the
+ * container whose repeated children (same tag + first class token, the same
+ * key hasRepeatedChildren uses) cover most of the container's text. Picking
+ * the shallowest such element keeps a long reply's paragraphs together
+ * instead of splitting them into separate messages.
+ */
+
+// Track sent messages for own-message filtering and role attribution
+const sentMessages = [];
+const MAX_SENT_HISTORY = 50;
+
+const MAX_LIST_DEPTH = 10;
+const MIN_COVERAGE = 0.5;
+
+// Attributes some chat UIs use to label the author of a message outright
+const ROLE_ATTRS = ['data-message-author-role', 'data-role', 'data-author', 'data-sender', 'data-from'];
+
+// Attributes that carry a per-message id, on the bubble or inside it
+const ID_ATTRS = ['data-message-id', 'data-msg-id', 'data-turn-id', 'data-item-id', 'data-id'];
+
+// Attributes whose tokens hint at the author (checked after ROLE_ATTRS)
+const HINT_ATTRS = ['data-testid', 'class', 'aria-label', 'data-type'];
+
+const ROLE_TOKENS = {
+  user: ['user', 'human', 'you', 'self', 'own', 'outgoing', 'sent', 'question', 'query'],
+  assistant: ['assistant', 'bot', 'ai', 'model', 'agent', 'response', 'answer', 'incoming', 'received',
+              'gpt', 'chatgpt', 'claude', 'gemini', 'grok', 'copilot', 'llm'],
+  system: ['system', 'notice']
+};
+
+/**
+ * Record a message we sent so its bubble can be attributed to the user.
+ *
+ * @param {string} text - The sent message text.
+ */
+export function rememberSent(text) {
+  sentMessages.push({ text: normalize(text), timestamp: Date.now() });
+  if (sentMessages.length > MAX_SENT_HISTORY) sentMessages.shift();
+}
+
+/**
+ * Checks if a message text was recently sent by us.
+ *
+ * @param {string} text - The message text to check.
+ * @param {number} [windowMs=5000] - How far back to check (ms). Pass Infinity for the whole history.
+ * @returns {boolean}
+ */
+export function isOwnMessage(text, windowMs = 5000) {
+  const normalized = normalize(text);
+  const now = Date.now();
+  return sentMessages.some(m =>
+    m.text === normalized && (now - m.timestamp) < windowMs
+  );
+}
+
+// Bubbles re-wrap and collapse whitespace, so compare on collapsed text
+function normalize(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function textLength(el) {
+  return (el.textContent || '').trim().length;
+}
+
+function structuralKey(el) {
+  const cls = el.className ? el.className.toString().trim().split(/\s+/)[0] : '';
+  return `${el.tagName}.${cls.replace(/\d+/g, '')}`;
+}
+
+/**
+ * Return the children of `el` that belong to a repeated sibling structure.
+ * Groups by tag + first class token; if every group is a singleton (e.g. user
+ * and assistant bubbles carry different classes), groups by tag alone.
+ *
+ * @param {HTMLElement} el
+ * @returns {Array<HTMLElement>}
+ */
+function repeatedChildren(el) {
+  const kids = [...el.children].filter(c => textLength(c) > 0);
+  if (kids.length < 2) return [];
+
+  for (const keyFn of [structuralKey, c => c.tagName]) {
+    const groups = new Map();
+    kids.forEach(c => {
+      const key = keyFn(c);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(c);
+    });
+    const repeated = new Set([...groups.values()].filter(g => g.length >= 2).flat());
+    if (repeated.size > 0) return kids.filter(c => repeated.has(c));
+  }
+  return [];
+}
+
+/**
+ * Find the element whose repeated children are the message bubbles.
+ *
+ * @param {HTMLElement} container - The bound chat container.
+ * @returns {{ list: HTMLElement, members: Array<HTMLElement> }|null}
+ */
+function findTurnList(container) {
+  const total = textLength(container);
+  if (total === 0) return null;
+
+  const candidates = [];
+  let frontier = [container];
+
+  for (let depth = 0; depth <= MAX_LIST_DEPTH && frontier.length > 0; depth++) {
+    const next = [];
+    for (const el of frontier) {
+      const members = repeatedChildren(el);
+      if (members.length > 0) {
+        const covered = members.reduce((sum, m) => sum + textLength(m), 0);
+        candidates.push({ list: el, members, depth, coverage: covered / total });
+      }
+      for (const child of el.children) {
+        if (textLength(child) > 0) next.push(child);
+      }
+    }
+    frontier = next;
+  }
+
+  const eligible = candidates.filter(c => c.coverage >= MIN_COVERAGE);
+  if (eligible.length === 0) return null;
+
+  // Shallowest list that covers nearly as much text as the best one wins
+  const best = Math.max(...eligible.map(c => c.coverage));
+  return eligible
+    .filter(c => c.coverage >= best * 0.8)
+    .sort((a, b) => a.depth - b.depth)[0];
+}
+
+function tokenize(value) {
+  return value
+    .replace(/user-select[\w-]*/gi, ' ')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+function roleFromValue(value) {
+  if (!value) return null;
+  const tokens = tokenize(value);
+  for (const [role, words] of Object.entries(ROLE_TOKENS)) {
+    if (words.some(w => tokens.includes(w))) return role;
+  }
+  return null;
+}
+
+/**
+ * Infer the speaker of a message bubble from DOM attributes.
+ * Explicit author attributes anywhere in the bubble win; otherwise the
+ * bubble's own hint attributes (and those of its first descendants) are used.
+ *
+ * @param {HTMLElement} el - The bubble element.
+ * @returns {string|null} 'user', 'assistant', 'system', or null if unknown.
+ */
+export function roleFromAttributes(el) {
+  const explicit = [el, ...el.querySelectorAll(ROLE_ATTRS.map(a => `[${a}]`).join(','))];
+  for (const node of explicit) {
+    for (const attr of ROLE_ATTRS) {
+      const role = roleFromValue(node.getAttribute(attr));
+      if (role) return role;
+    }
+  }
+
+  const hinted = [el, ...[...el.querySelectorAll('*')].slice(0, 8)];
+  for (const node of hinted) {
+    for (const attr of HINT_ATTRS) {
+      const value = attr === 'class' ? node.className?.toString?.() : node.getAttribute(attr);
+      const role = roleFromValue(value);
+      if (role) return role;
+    }
+  }
+  return null;
+}
+
+/**
+ * React key of the component that rendered `el`: walks up from its fiber
+ * through the composite components until the next host (DOM) fiber.
+ */
+function reactKey(el) {
+  let fiber = getReactFiber(el);
+  for (let i = 0; fiber && i < 8; i++, fiber = fiber.return) {
+    if (fiber.key != null) return String(fiber.key);
+    if (fiber.return && typeof fiber.return.type === 'string') break;
+  }
+  return null;
+}
+
+/**
+ * A stable id for a message bubble that survives re-renders, or null if the
+ * page gives none (callers then fall back to node identity). Sources, in order:
+ * a data-*-id attribute on the bubble, the bubble's id or numbered
+ * data-testid (e.g. "conversation-turn-7"), and its React key. Descendants
+ * aren't read: their ids belong to code blocks, citations or attachments.
+ *
+ * @param {HTMLElement} el - The bubble element.
+ * @returns {string|null}
+ */
+export function messageId(el) {
+  for (const attr of ID_ATTRS) {
+    if (el.hasAttribute(attr)) return `${attr}:${el.getAttribute(attr)}`;
+  }
+  if (el.id) return `id:${el.id}`;
+  const testId = el.getAttribute('data-testid');
+  if (testId && /\d/.test(testId)) return `data-testid:${testId}`;
+  const key = reactKey(el);
+  return key ? `react:${key}` : null;
+}
+
+/**
+ * Split a chat container into role-attributed turns, one per message bubble.
+ *
+ * Role sources, in priority order:
+ *   'attribute' - author attributes, test ids, classes or aria-labels on the bubble
+ *   'sent'      - the bubble's text matches a message we sent through chatSend
+ *   'sequence'  - an unattributed bubble directly after a user turn is the reply
+ *
+ * @param {HTMLElement} container - The bound chat container.
+ * @returns {Array<{ index: number, id: string|null, role: string, roleSource: string|null, text: string, el: HTMLElement }>}
+ */
+export function findTurns(container) {
+  if (!container) return [];
+
+  const found = findTurnList(container);
+  let bubbles = found ? found.members : [];
+
+  // A lone message has no repeated siblings at its own level, so the deepest
+  // "list" is its paragraphs. Collapse back to the labelled ancestor if any.
+  if (found) {
+    for (let cur = found.list; cur && cur !== container.parentElement; cur = cur.parentElement) {
+      if (ROLE_ATTRS.some(a => roleFromValue(cur.getAttribute(a)))) {
+        bubbles = [cur];
+        break;
+      }
+    }
+  } else if (textLength(container) > 0) {
+    bubbles = [container];
+  }
+
+  const turns = bubbles.map((el, index) => {
+    const text = (el.innerText ?? el.textContent ?? '').trim();
+    let role = roleFromAttributes(el);
+    let roleSource = role ? 'attribute' : null;
+    if (!role && isOwnMessage(text, Infinity)) {
+      role = 'user';
+      roleSource = 'sent';
+    }
+    return { index, id: messageId(el), role, roleSource, text, el };
+  });
+
+  // An id shared by several turns (a template constant, a list-level key) identifies none of them
+  const counts = new Map();
+  turns.forEach(t => t.id && counts.set(t.id, (counts.get(t.id) || 0) + 1));
+  turns.forEach(t => {
+    if (counts.get(t.id) > 1) t.id = null;
+  });
+
+  turns.forEach((turn, i) => {
+    if (!turn.role && turns[i - 1]?.role === 'user') {
+      turn.role = 'assistant';
+      turn.roleSource = 'sequence';
+    }
+    if (!turn.role) turn.role = 'other';
+  });
+
+  return turns;
+}
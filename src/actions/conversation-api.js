@@ -0,0 +1,220 @@
+// ============================================
+// CONVERSATION HISTORY API ACTIONS
+// ============================================
+
+import { PatternVerifier } from '../llm/state-machine.js';
+import { findTurns } from './chat-turns.js';
+
+/**
+ * Navigation over a chat UI's conversation sidebar: the "new chat" control
+ * and the list of past conversations. Conversations are the largest group of
+ * same-origin links sharing a URL shape (e.g. /c/<id>, /chat/<id>) whose ids
+ * all look generated; the id is the varying path segment or a
+ * conversation-ish query parameter. Docs or settings links (/docs/intro,
+ * /settings/profile) share a shape too, but their last segments are words.
+ */
+
+const NEW_CHAT_LABEL = /^\s*new( chat| conversation| thread)?\s*$|new[\s_-]?(chat|conversation|thread)|create[\s_-]new[\s_-]chat|start[\s_-]new/i;
+const ID_PARAMS = ['conversation', 'conversationId', 'chat', 'chatId', 'thread', 'id', 'c'];
+
+/**
+ * Fewest links with a common shape that make a conversation list. Shared
+ * with the history pattern's 'repeated-links' rule, so a sidebar is
+ * detected exactly when it has a list to return.
+ */
+export const MIN_CONVERSATION_LINKS = 2;
+
+function isVisible(el) {
+  return !!el && el.isConnected && el.offsetParent !== null;
+}
+
+function controlLabel(el) {
+  return `${el.getAttribute('aria-label') || ''} ${el.getAttribute('data-testid') || ''} ${el.title || ''} ${el.textContent?.trim() || ''}`;
+}
+
+function parseHref(href) {
+  try {
+    const url = new URL(href, location.href);
+    return url.origin === location.origin ? url : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Ids have digits or are long slugs; "about" and "pricing" are pages
+function looksLikeId(segment) {
+  return /\d/.test(segment) || segment.length >= 16;
+}
+
+// "/c/6650a1" and "/c/77f0b2" share the shape "/c/*", "/?chat=1" and "/?chat=2" the shape "/?chat=*".
+// Top-level paths only group when they look like ids, or /about and /login would form a list.
+function urlShape(url) {
+  const param = ID_PARAMS.find(p => url.searchParams.get(p));
+  if (param) return `${url.pathname}?${param}=*`;
+  const segments = url.pathname.split('/').filter(Boolean);
+  if (segments.length === 0) return null;
+  if (segments.length === 1) return looksLikeId(segments[0]) ? '/*' : null;
+  return `/${segments.slice(0, -1).join('/')}/*`;
+}
+
+/**
+ * Derive a conversation id from a URL: a known query parameter if present,
+ * otherwise the last path segment.
+ *
+ * @param {string} href
+ * @returns {string|null}
+ */
+export function conversationIdFromHref(href) {
+  const url = parseHref(href);
+  if (!url) return null;
+  for (const param of ID_PARAMS) {
+    const value = url.searchParams.get(param);
+    if (value) return value;
+  }
+  const segments = url.pathname.split('/').filter(Boolean);
+  return segments[segments.length - 1] || null;
+}
+
+/**
+ * Find the conversation links in a sidebar: the largest group of same-origin
+ * links with a common URL shape and id-like ids.
+ *
+ * @param {HTMLElement} container - The sidebar/history element.
+ * @returns {Array<HTMLAnchorElement>}
+ */
+export function findConversationLinks(container) {
+  if (!container) return [];
+  const groups = new Map();
+  for (const a of container.querySelectorAll('a[href]')) {
+    const url = parseHref(a.getAttribute('href'));
+    const shape = url && urlShape(url);
+    if (!shape) continue;
+    if (!groups.has(shape)) groups.set(shape, []);
+    groups.get(shape).push(a);
+  }
+  const largest = [...groups.values()]
+    .filter(links => links.every(a => looksLikeId(conversationIdFromHref(a.getAttribute('href')) || '')))
+    .sort((a, b) => b.length - a.length)[0] || [];
+  return largest.length >= MIN_CONVERSATION_LINKS ? largest : [];
+}
+
+/**
+ * Find the "new chat" control, in the sidebar first, then anywhere on the page.
+ *
+ * @param {HTMLElement} [container] - The sidebar/history element.
+ * @returns {HTMLElement|null}
+ */
+export function findNewChatControl(container) {
+  const selector = 'a[href], button, [role="button"]';
+  // Untitled conversations are often called "New chat" too
+  const links = new Set(findConversationLinks(container));
+  for (const root of [container, document.body].filter(Boolean)) {
+    const controls = [...root.querySelectorAll(selector)].filter(el =>
+      !links.has(el) && NEW_CHAT_LABEL.test(controlLabel(el))
+    );
+    const control = controls.find(isVisible) || controls[0];
+    if (control) return control;
+  }
+  return null;
+}
+
+/**
+ * Lists the conversations in the sidebar.
+ *
+ * @param {object} components - The detected history components ({ container }).
+ * @returns {Array<{ index: number, id: string, title: string, url: string, active: boolean }>}
+ */
+export function listConversations(components) {
+  const current = conversationIdFromHref(location.href);
+  return findConversationLinks(components.container).map((a, index) => {
+    const url = parseHref(a.getAttribute('href')).href;
+    const id = conversationIdFromHref(url);
+    return {
+      index,
+      id,
+      title: (a.innerText ?? a.textContent ?? '').trim() || a.title || a.getAttribute('aria-label') || '',
+      url,
+      active: a.getAttribute('aria-current') === 'page' || a.getAttribute('aria-current') === 'true' || id === current
+    };
+  });
+}
+
+function verify(components, action, fn, log) {
+  return new PatternVerifier('history', components, log).verify(action, fn);
+}
+
+/**
+ * The history components plus a live `conversationEmpty` for the 'stayNew'
+ * check: no listed conversation is active and the chat, if one is bound,
+ * shows no messages.
+ */
+function withEmptyState(components, chat) {
+  return Object.create(components, {
+    conversationEmpty: {
+      get: () => !listConversations(components).some(c => c.active) &&
+        !(chat?.container?.isConnected && findTurns(chat.container).length > 0)
+    }
+  });
+}
+
+/**
+ * Starts a new conversation by clicking the "new chat" control. A page that
+ * isn't showing any listed conversation may already be a new one; there the
+ * URL may stay put, so the result is verified by the page showing an empty
+ * conversation instead.
+ *
+ * @param {object} components - The detected history components ({ container }).
+ * @param {function} [log] - Optional logging function with signature (type, msg).
+ * @param {object} [options]
+ * @param {object} [options.chat] - The bound chat's components, to check that no messages remain.
+ * @returns {Promise<{ success: boolean, method?: string, url?: string, verification?: object, error?: string }>}
+ */
+export async function newConversation(components, log, options = {}) {
+  const logFn = log || (() => {});
+  const control = components.newChatButton?.isConnected ? components.newChatButton : findNewChatControl(components.container);
+  const alreadyNew = !listConversations(components).some(c => c.active);
+
+  if (!control && !alreadyNew) return { success: false, error: 'No new-chat control found' };
+
+  if (alreadyNew) {
+    if (control) logFn('info', `Starting new conversation via "${controlLabel(control).trim().slice(0, 30)}"`);
+    const result = await verify(withEmptyState(components, options.chat), 'stayNew', () => control?.click(), logFn);
+    return result.passed
+      ? { success: true, method: 'already-new', url: location.href, verification: result }
+      : { success: false, error: 'Conversation is not empty', verification: result };
+  }
+
+  logFn('info', `Starting new conversation via "${controlLabel(control).trim().slice(0, 30)}"`);
+
+  const result = await verify(components, 'new', () => control.click(), logFn);
+  return result.passed
+    ? { success: true, method: 'click', url: location.href, verification: result }
+    : { success: false, error: 'Location did not change', verification: result };
+}
+
+/**
+ * Opens a past conversation from the sidebar.
+ *
+ * @param {object} components - The detected history components ({ container }).
+ * @param {string|number} id - Conversation id, URL, exact title, or list index.
+ * @param {function} [log] - Optional logging function with signature (type, msg).
+ * @returns {Promise<{ success: boolean, conversation?: object, verification?: object, error?: string }>}
+ */
+export async function openConversation(components, id, log) {
+  const logFn = log || (() => {});
+  const conversations = listConversations(components);
+  const conversation = typeof id === 'number'
+    ? conversations[id]
+    : conversations.find(c => c.id === id || c.url === parseHref(String(id))?.href) ||
+      conversations.find(c => c.title === id);
+
+  if (!conversation) return { success: false, error: `No conversation matching ${id}` };
+  if (conversation.active) return { success: true, conversation };
+
+  const link = findConversationLinks(components.container)[conversation.index];
+  logFn('info', `Opening conversation "${conversation.title.slice(0, 30)}"`);
+  const result = await verify(components, 'open', () => link.click(), logFn);
+  return result.passed
+    ? { success: true, conversation, verification: result }
+    : { success: false, conversation, error: 'Location did not change', verification: result };
+}
@@ -0,0 +1,251 @@
+// ============================================
+// EDITOR ADAPTERS
+// ============================================
+
+import { getReactFiber } from '../llm/heap-scanner.js';
+
+/**
+ * Rich-text and code composers keep their content in a model (ProseMirror
+ * state, a Lexical editor state, a Monaco text model...) and render the DOM
+ * from it. Events that only change the DOM can leave the model behind, and
+ * the composer then sends an empty or stale message. Each adapter recognizes
+ * one editor by the instance it leaves on its DOM and sets the text through
+ * that editor's own API.
+ *
+ * An adapter is { name, find(el) → instance|null, setText(instance, text),
+ * getText(instance) → string }. Adapters are tried in order; register site
+ * specific ones with registerEditorAdapter.
+ */
+
+function linesOf(text) {
+  return text.replace(/\r\n?/g, '\n').split('\n');
+}
+
+// An EditorView-like object: has state with a transaction factory, and dispatch
+function isPMView(view) {
+  return !!view && typeof view.dispatch === 'function' && !!view.state?.tr;
+}
+
+// TipTap puts its editor on the root; plain ProseMirror only links its view desc
+function findProseMirror(el) {
+  const root = el.closest('.ProseMirror') || (el.pmViewDesc ? el : null);
+  if (!root) return null;
+  if (isPMView(root.editor?.view)) return root.editor.view;
+  const desc = root.pmViewDesc;
+  if (!desc) return null;
+  if (isPMView(desc.view)) return desc.view;
+  return Object.values(desc).find(isPMView) || null;
+}
+
+const proseMirror = {
+  name: 'prosemirror',
+  find: findProseMirror,
+  setText(view, text) {
+    const { state } = view;
+    const { schema } = state;
+    const paragraph = schema.nodes.paragraph;
+    const end = state.doc.content.size;
+    const tr = paragraph
+      ? state.tr.replaceWith(0, end, linesOf(text).map(line => paragraph.create(null, line ? schema.text(line) : null)))
+      : state.tr.insertText(text, 0, end);
+    view.dispatch(tr.scrollIntoView());
+    view.focus();
+  },
+  getText(view) {
+    const { doc } = view.state;
+    return doc.textBetween(0, doc.content.size, '\n', '\n');
+  }
+};
+
+function lexicalText(node) {
+  if (node.type === 'linebreak') return '\n';
+  if (typeof node.text === 'string') return node.text;
+  return (node.children || []).map(lexicalText).join('');
+}
+
+const lexical = {
+  name: 'lexical',
+  find: el => el.closest('[data-lexical-editor]')?.__lexicalEditor || el.__lexicalEditor || null,
+  setText(editor, text) {
+    // Lexical's $ helpers live in its module; a serialized state goes through the public API
+    const children = linesOf(text).map(line => ({
+      type: 'paragraph', version: 1, direction: null, format: '', indent: 0, textFormat: 0, textStyle: '',
+      children: line ? [{ type: 'text', version: 1, text: line, format: 0, style: '', mode: 'normal', detail: 0 }] : []
+    }));
+    const state = { root: { type: 'root', version: 1, direction: null, format: '', indent: 0, children } };
+    editor.setEditorState(editor.parseEditorState(JSON.stringify(state)));
+    editor.focus?.();
+  },
+  getText(editor) {
+    return editor.getEditorState().toJSON().root.children.map(lexicalText).join('\n');
+  }
+};
+
+function isSlateEditor(value) {
+  return !!value && Array.isArray(value.children) && typeof value.apply === 'function' && typeof value.onChange === 'function';
+}
+
+// slate-react keeps the editor in module WeakMaps; the <Slate>/<Editable> props still carry it
+function findSlate(el) {
+  const root = el.closest('[data-slate-editor]');
+  if (!root) return null;
+  for (let fiber = getReactFiber(root); fiber; fiber = fiber.return) {
+    const editor = fiber.memoizedProps?.editor;
+    if (isSlateEditor(editor)) return editor;
+  }
+  return null;
+}
+
+// Blocks hold either other blocks or text leaves (with inlines between them)
+function slateText(node) {
+  if (typeof node.text === 'string') return node.text;
+  const children = node.children || [];
+  const inline = children.some(child => typeof child.text === 'string');
+  return children.map(slateText).join(inline ? '' : '\n');
+}
+
+const slate = {
+  name: 'slate',
+  find: findSlate,
+  setText(editor, text) {
+    // Transforms aren't reachable either; apply the raw operations they'd produce
+    const template = editor.children[0] || { type: 'paragraph' };
+    const { children: _children, ...props } = template;
+    if (editor.selection) editor.apply({ type: 'set_selection', properties: editor.selection, newProperties: null });
+    // Insert before removing, so normalization never sees an empty document
+    const lines = linesOf(text);
+    const old = editor.children.length;
+    lines.forEach((line, i) => {
+      editor.apply({ type: 'insert_node', path: [i], node: { ...props, children: [{ text: line }] } });
+    });
+    for (let i = lines.length + old - 1; i >= lines.length; i--) {
+      editor.apply({ type: 'remove_node', path: [i], node: editor.children[i] });
+    }
+  },
+  getText(editor) {
+    return editor.children.map(slateText).join('\n');
+  }
+};
+
+const quill = {
+  name: 'quill',
+  find(el) {
+    const container = el.closest('.ql-container');
+    if (!container) return null;
+    return container.__quill || window.Quill?.find?.(container) || null;
+  },
+  setText(instance, text) {
+    instance.setText(text, 'user');
+    instance.setSelection(instance.getLength(), 0, 'user');
+  },
+  // Quill always ends its text with a newline
+  getText: instance => instance.getText().replace(/\n$/, '')
+};
+
+// CodeMirror 6 links its content DOM to the view tree; CodeMirror 5 sets `.CodeMirror`
+function findCodeMirror(el) {
+  const editor = el.closest('.cm-editor');
+  if (editor) {
+    const desc = editor.querySelector('.cm-content')?.cmView;
+    const view = desc?.rootView?.view || desc?.view;
+    if (view?.state?.doc && typeof view.dispatch === 'function') return { version: 6, view };
+  }
+  const legacy = el.closest('.CodeMirror')?.CodeMirror;
+  return legacy ? { version: 5, cm: legacy } : null;
+}
+
+const codeMirror = {
+  name: 'codemirror',
+  find: findCodeMirror,
+  setText(instance, text) {
+    if (instance.version === 5) {
+      instance.cm.setValue(text);
+      return;
+    }
+    const { view } = instance;
+    view.dispatch({ changes: { from: 0, to: view.state.doc.length, insert: text }, selection: { anchor: text.length } });
+  },
+  getText: instance => (instance.version === 5 ? instance.cm.getValue() : instance.view.state.doc.toString())
+};
+
+const monaco = {
+  name: 'monaco',
+  find(el) {
+    const host = el.closest('.monaco-editor');
+    const editors = host && window.monaco?.editor?.getEditors?.();
+    if (!editors) return null;
+    return editors.find(editor => host.contains(editor.getDomNode?.()) || editor.getDomNode?.()?.contains(host)) || null;
+  },
+  setText(editor, text) {
+    const model = editor.getModel();
+    // An edit instead of model.setValue keeps the undo stack
+    editor.executeEdits('universal-controller', [{ range: model.getFullModelRange(), text }]);
+    editor.setPosition(model.getPositionAt(text.length));
+  },
+  getText: editor => editor.getModel().getValue()
+};
+
+const EDITOR_ADAPTERS = [proseMirror, lexical, slate, quill, codeMirror, monaco];
+
+/**
+ * Add an adapter, tried before the built-in ones.
+ *
+ * @param {{ name: string, find: function, setText: function, getText: function }} adapter
+ */
+export function registerEditorAdapter(adapter) {
+  const existing = EDITOR_ADAPTERS.findIndex(a => a.name === adapter.name);
+  if (existing !== -1) EDITOR_ADAPTERS.splice(existing, 1);
+  EDITOR_ADAPTERS.unshift(adapter);
+}
+
+/**
+ * The editor instance behind an input or contenteditable, if a known editor owns it.
+ *
+ * @param {HTMLElement} el
+ * @returns {{ name: string, adapter: object, instance: object }|null}
+ */
+export function findEditor(el) {
+  if (!el?.closest) return null;
+  for (const adapter of EDITOR_ADAPTERS) {
+    try {
+      const instance = adapter.find(el);
+      if (instance) return { name: adapter.name, adapter, instance };
+    } catch (e) {}
+  }
+  return null;
+}
+
+/**
+ * The text in the editor's model, or null if no known editor owns `el`.
+ *
+ * @param {HTMLElement} el
+ * @returns {string|null}
+ */
+export function getEditorText(el) {
+  const editor = findEditor(el);
+  if (!editor) return null;
+  try {
+    return editor.adapter.getText(editor.instance);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Replace the content through the owning editor's API.
+ *
+ * @param {HTMLElement} el
+ * @param {string} text
+ * @returns {{ editor: string, text: string }|null} The editor's name and its
+ *   model text afterwards, or null if no editor was found or its API threw.
+ */
+export function setEditorText(el, text) {
+  const editor = findEditor(el);
+  if (!editor) return null;
+  try {
+    editor.adapter.setText(editor.instance, text);
+    return { editor: editor.name, text: editor.adapter.getText(editor.instance) };
+  } catch (e) {
+    return null;
+  }
+}
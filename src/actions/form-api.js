@@ -3,10 +3,13 @@
 // ============================================
 
 import { setText, submitInput } from './text-input.js';
+import { findWidgets, nativeWidgetKind, setWidgetValue, widgetSchema } from './form-widgets.js';
+import { fieldKey, fieldErrorBaseline, detectFieldErrors, waitForFieldErrors } from './form-errors.js';
+import { PatternVerifier } from '../llm/state-machine.js';
 
 /**
  * Match a form field against a key using priority-based matching.
- * Priority: name (exact) > id (exact) > type > placeholder (substring) > aria-label > label[for]
+ * Priority: name (exact) > id (exact) > type or accessible name (exact) > placeholder (substring) > aria-label > label[for]
  *
  * @param {HTMLElement} field - The form field element.
  * @param {string} key - The key to match against.
@@ -23,6 +26,7 @@ function matchField(field, key) {
 
   // Priority 3: type match (for things like "password", "email")
   if (field.type && field.type.toLowerCase() === k) return 4;
+  if (fieldLabel(field)?.toLowerCase() === k) return 4;
 
   // Priority 4: placeholder substring match
   const placeholder = field.placeholder?.toLowerCase();
@@ -43,8 +47,23 @@ function matchField(field, key) {
   return 0;
 }
 
+function setChecked(field, checked) {
+  if (field.checked === checked) return;
+  field.checked = checked;
+  field.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+// A radio, checkbox or option matches a value by its value attribute, else by its label
+function optionMatches(field, value) {
+  const wanted = String(value).trim().toLowerCase();
+  const label = field.tagName === 'OPTION' ? field.textContent?.replace(/\s+/g, ' ').trim() : fieldLabel(field);
+  return field.value.toLowerCase() === wanted || label?.toLowerCase() === wanted;
+}
+
 /**
  * Set a value on a form field, handling different field types appropriately.
+ * A checkbox given an array is checked if the array holds its value; a
+ * multiple select given an array selects exactly those options.
  *
  * @param {HTMLElement} field - The form field element.
  * @param {*} value - The value to set.
@@ -55,20 +74,25 @@ function setFieldValue(field, value) {
 
   // Checkbox
   if (type === 'checkbox') {
-    const shouldCheck = value === true || value === 'true' || value === 1 || value === 'on';
-    if (field.checked !== shouldCheck) {
-      field.checked = shouldCheck;
-      field.dispatchEvent(new Event('change', { bubbles: true }));
-    }
+    const shouldCheck = Array.isArray(value)
+      ? value.some(v => optionMatches(field, v))
+      : value === true || value === 'true' || value === 1 || value === 'on';
+    setChecked(field, shouldCheck);
     return;
   }
 
   // Radio
   if (type === 'radio') {
-    if (field.value === String(value)) {
-      field.checked = true;
-      field.dispatchEvent(new Event('change', { bubbles: true }));
-    }
+    if (optionMatches(field, value)) setChecked(field, true);
+    return;
+  }
+
+  // Multiple select
+  if (tag === 'SELECT' && field.multiple && Array.isArray(value)) {
+    [...field.options].forEach(o => {
+      o.selected = value.some(v => optionMatches(o, v));
+    });
+    field.dispatchEvent(new Event('change', { bubbles: true }));
     return;
   }
 
@@ -90,6 +114,51 @@ function setFieldValue(field, value) {
   setText(field, String(value));
 }
 
+/**
+ * Set radios or checkboxes sharing a name: check the radio matching the
+ * value, or exactly the checkboxes whose values are in the array.
+ *
+ * @param {Array<HTMLInputElement>} group - Same-name radios, or two or more same-name checkboxes.
+ * @param {*} value - An option value or label (an array of them for checkboxes).
+ * @returns {string|null} An error if a value matches no option in the group.
+ */
+function setGroupValue(group, value) {
+  const wanted = Array.isArray(value) ? value : [value];
+  const missing = wanted.filter(v => !group.some(f => optionMatches(f, v)));
+  if (missing.length > 0) return `No option matching ${missing.map(v => `"${v}"`).join(', ')}`;
+
+  if (group[0].type.toLowerCase() === 'radio') {
+    if (wanted.length !== 1) return 'A radio group takes one value';
+    setChecked(group.find(f => optionMatches(f, wanted[0])), true);
+  } else {
+    group.forEach(f => setChecked(f, wanted.some(v => optionMatches(f, v))));
+  }
+  return null;
+}
+
+/**
+ * The fields a fill or a schema addresses one by one: radios sharing a name
+ * (and checkboxes, two or more) become one group, and a widget's own inputs
+ * (its text box, the hidden input carrying its value) are left to the widget.
+ *
+ * @param {Array<HTMLElement>} fields
+ * @param {Array<object>} widgets - From findWidgets.
+ * @returns {Array<{ el: HTMLElement, group?: Array<HTMLInputElement> }>} `el` is a group's first member.
+ */
+function fieldTargets(fields, widgets) {
+  const plain = (fields || []).filter(f => !widgets.some(w => w.el.contains(f) || w.input === f));
+  const seen = new Set();
+  return plain.flatMap(el => {
+    const type = el.type?.toLowerCase();
+    if ((type !== 'radio' && type !== 'checkbox') || !el.name) return [{ el }];
+    const members = plain.filter(f => f.type?.toLowerCase() === type && f.name === el.name);
+    if (type === 'checkbox' && members.length === 1) return [{ el }];
+    if (seen.has(`${type}:${el.name}`)) return [];
+    seen.add(`${type}:${el.name}`);
+    return [{ el, group: members }];
+  });
+}
+
 /**
  * Get the current value of a form field, handling different types.
  *
@@ -110,71 +179,193 @@ function getFieldValue(field) {
   return field.value;
 }
 
+/**
+ * Match a role-based widget against a key: its name (or its hidden input's),
+ * id, then its accessible name.
+ *
+ * @param {{ el: HTMLElement, name: string|null }} widget - From findWidgets.
+ * @param {string} key - The key to match against.
+ * @returns {number} Match score, on the same scale as matchField.
+ */
+function matchWidget(widget, key) {
+  const k = key.toLowerCase();
+  const name = widget.name?.toLowerCase();
+  const id = widget.el.id?.toLowerCase();
+  const label = fieldLabel(widget.el)?.toLowerCase();
+
+  if (name && name === k) return 6;
+  if (id && id === k) return 5;
+  if (label && label === k) return 4;
+  if (label && label.includes(k)) return 2;
+  if (name?.includes(k) || id?.includes(k)) return 0.5;
+  return 0;
+}
+
+// Scores at or above this are exact: name, id, type or accessible name
+const EXACT_SCORE = 4;
+
+/**
+ * Pair data keys with targets (fields, groups, widgets) by best score across
+ * all keys: the strongest key-target match is taken first, so a key that
+ * only partly matches a field can't take it from the key that names it.
+ *
+ * @param {Array<object>} targets
+ * @param {object} data
+ * @param {number} [minScore] - Lowest score that counts (EXACT_SCORE for exact matches only).
+ * @returns {Array<{ key: string, value: *, target: object, field: string }>} In data order;
+ *   `field` names the target in results.
+ */
+function matchTargets(targets, data, minScore = 0) {
+  const entries = Object.entries(data);
+  const candidates = [];
+  entries.forEach(([key], order) => targets.forEach((target, position) => {
+    const score = target.kind ? matchWidget(target, key) : matchField(target.el, key);
+    if (score > 0 && score >= minScore) candidates.push({ order, position, score, target });
+  }));
+  candidates.sort((a, b) => b.score - a.score || a.order - b.order || a.position - b.position);
+
+  const byKey = new Map();
+  const used = new Set();
+  for (const { order, target } of candidates) {
+    if (byKey.has(order) || used.has(target)) continue;
+    byKey.set(order, target);
+    used.add(target);
+  }
+
+  return entries.flatMap(([key, value], order) => {
+    const target = byKey.get(order);
+    if (!target) return [];
+    const { el } = target;
+    const field = target.name || el.name || el.id || (target.kind ? fieldLabel(el) : el.type) || target.kind;
+    return [{ key, value, target, field }];
+  });
+}
+
+// Set a native field or group; a group's error lands in `failed`
+function fillNative({ key, value, target, field }, filled, failed, logFn) {
+  const error = target.group ? setGroupValue(target.group, value) : setFieldValue(target.el, value);
+  if (error) {
+    logFn('warn', `Could not set ${field}: ${error}`);
+    failed.push({ key, field, error });
+  } else {
+    filled.push({ key, field, value });
+  }
+}
+
+function fillResult(filled, failed, data, logFn) {
+  logFn(failed.length > 0 ? 'warn' : 'success', `Filled ${filled.length}/${Object.keys(data).length} fields`);
+  return { success: filled.length > 0 && failed.length === 0, filled, ...(failed.length > 0 ? { failed } : {}) };
+}
+
 /**
  * Fills form fields by matching data keys to fields using priority-based matching.
+ * Radios sharing a name are one field, set by an option's value or label;
+ * checkboxes sharing a name take an array of the values to check.
+ * Native fields only; formFillWidgets also sets role-based widgets.
  *
  * @param {object} components - The detected form components ({ fields, submitButton, container }).
  * @param {object} data - Key-value pairs where keys are matched against field identifiers.
  * @param {function} [log] - Optional logging function with signature (type, msg).
- * @returns {{ success: boolean, filled: Array<{ key: string, field: string, value: * }> }}
+ * @returns {{ success: boolean, filled: Array<{ key: string, field: string, value: * }>,
+ *   failed?: Array<{ key: string, field: string, error: string }> }}
  */
 export function formFill(components, data, log) {
   const logFn = log || (() => {});
-  const { fields } = components;
-  if (!fields || fields.length === 0) return { success: false, filled: [] };
+  const targets = fieldTargets(components.fields, []);
+  if (targets.length === 0) return { success: false, filled: [] };
 
   const filled = [];
-  const usedFields = new Set();
-
-  for (const [dataKey, dataValue] of Object.entries(data)) {
-    // Score all fields against this key
-    let bestField = null;
-    let bestScore = 0;
-
-    for (const field of fields) {
-      if (usedFields.has(field)) continue;
-      const score = matchField(field, dataKey);
-      if (score > bestScore) {
-        bestScore = score;
-        bestField = field;
-      }
+  const failed = [];
+  matchTargets(targets, data).forEach(match => fillNative(match, filled, failed, logFn));
+  return fillResult(filled, failed, data, logFn);
+}
+
+/**
+ * Like formFill, but role-based widgets in the container (switches, radio
+ * and button groups, comboboxes, sliders, date segments) are matched too and
+ * set through clicks and keys, as are text inputs acting as chip inputs
+ * (given an array) or datepickers (given an ISO date); see form-widgets.js.
+ * A widget counts as filled only once it shows the value (aria-checked,
+ * aria-selected, the displayed text, aria-valuenow).
+ *
+ * @param {object} components - The detected form components ({ fields, submitButton, container }).
+ * @param {object} data - Key-value pairs where keys are matched against field and widget identifiers.
+ * @param {function} [log] - Optional logging function with signature (type, msg).
+ * @param {object} [options]
+ * @param {boolean} [options.exact=false] - Fill only keys that exactly match a name, id, type or
+ *   accessible name; other keys are left unmatched (formWizardFill keeps them for later steps).
+ * @returns {Promise<{ success: boolean, filled: Array<{ key: string, field: string, value: *, widget?: string, shown?: * }>,
+ *   failed?: Array<{ key: string, field: string, widget?: string, error: string }> }>}
+ */
+export async function formFillWidgets(components, data, log, options = {}) {
+  const logFn = log || (() => {});
+  const widgets = findWidgets(components.container);
+  const targets = [...widgets, ...fieldTargets(components.fields, widgets)];
+  if (targets.length === 0) return { success: false, filled: [] };
+
+  const filled = [];
+  const failed = [];
+  for (const match of matchTargets(targets, data, options.exact ? EXACT_SCORE : 0)) {
+    const { key, value, target, field } = match;
+    const kind = target.kind || (!target.group && nativeWidgetKind(target.el, value));
+    if (!kind) {
+      fillNative(match, filled, failed, logFn);
+      continue;
     }
 
-    if (bestField && bestScore > 0) {
-      setFieldValue(bestField, dataValue);
-      usedFields.add(bestField);
-      filled.push({
-        key: dataKey,
-        field: bestField.name || bestField.id || bestField.type,
-        value: dataValue
-      });
+    const result = await setWidgetValue({ kind, el: target.el }, value);
+    if (result.verified) {
+      filled.push({ key, field, value, widget: kind, shown: result.shown });
+    } else {
+      logFn('warn', `Could not set ${field} (${kind}): ${result.error}`);
+      failed.push({ key, field, widget: kind, error: result.error });
     }
   }
-
-  logFn('success', `Filled ${filled.length}/${Object.keys(data).length} fields`);
-  return { success: filled.length > 0, filled };
+  return fillResult(filled, failed, data, logFn);
 }
 
 /**
- * Submits a form by clicking the submit button or falling back to submitInput.
+ * Submits a form by clicking the submit button or falling back to submitInput,
+ * then tells an accepted submit from a rejected one: the form's postcondition
+ * (fields cleared or the form gone) is checked, and the validation feedback
+ * it shows is collected and mapped to fields (see form-errors.js).
  *
  * @param {object} components - The detected form components ({ submitButton, container, fields }).
  * @param {function} [log] - Optional logging function with signature (type, msg).
- * @returns {{ success: boolean }}
+ * @param {object} [options]
+ * @param {number} [options.errorTimeout=1000] - Extra ms to wait for errors when the form neither cleared nor went away.
+ * @returns {Promise<{ success: boolean, errors: object, message?: string, verification: object }>}
+ *   `errors` maps field keys (see fieldKey) to their messages; `message` is
+ *   error text that belongs to no field.
  */
-export function formSubmit(components, log) {
+export async function formSubmit(components, log, options = {}) {
   const logFn = log || (() => {});
   const { submitButton, container, fields } = components;
   const input = fields?.[0] || container?.querySelector('input');
+  const baseline = fieldErrorBaseline(components);
 
-  if (submitButton) {
-    submitButton.click();
-  } else {
-    submitInput(input, logFn);
+  const verifier = new PatternVerifier('form', components, logFn);
+  const verification = await verifier.verify('submit', () => {
+    if (submitButton) {
+      submitButton.click();
+    } else {
+      submitInput(input, logFn);
+    }
+  });
+
+  // A form that stayed put may still be waiting on server-side validation
+  const found = verification.passed
+    ? detectFieldErrors(components, { baseline })
+    : await waitForFieldErrors(components, { baseline, timeout: options.errorTimeout ?? 1000 });
+  const keys = Object.keys(found.errors);
+
+  if (keys.length > 0 || found.message) {
+    logFn('warn', `Form rejected: ${keys.map(k => `${k}: ${found.errors[k]}`).concat(found.message || []).join('; ')}`);
+    return { success: false, errors: found.errors, ...(found.message ? { message: found.message } : {}), verification };
   }
 
   logFn('success', 'Form submitted');
-  return { success: true };
+  return { success: true, errors: {}, verification };
 }
 
 /**
@@ -188,7 +379,7 @@ export function formGetValues(components) {
   const values = {};
 
   fields?.forEach((f, i) => {
-    const key = f.name || f.id || `field-${i}`;
+    const key = fieldKey(f, i);
     const value = getFieldValue(f);
     if (value !== undefined) {
       values[key] = value;
@@ -197,3 +388,189 @@ export function formGetValues(components) {
 
   return values;
 }
+
+// ============================================
+// FORM SCHEMA
+// ============================================
+
+const SKIPPED_TYPES = ['hidden', 'submit', 'button', 'reset', 'image', 'file'];
+const FORMATS = { email: 'email', url: 'uri', date: 'date', 'datetime-local': 'date-time', time: 'time' };
+
+function textOfIds(ids) {
+  return (ids || '').split(/\s+/).filter(Boolean)
+    .map(id => document.getElementById(id)?.textContent?.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join(' ');
+}
+
+// A label's own text, without the controls it wraps (a wrapped <select> would add every option)
+function labelText(label) {
+  const clone = label.cloneNode(true);
+  clone.querySelectorAll('input, select, textarea, button').forEach(el => el.remove());
+  return clone.textContent.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * The accessible name of a form field: aria-labelledby, aria-label, its
+ * labels (label[for] and a wrapping <label>), then title or placeholder.
+ *
+ * @param {HTMLElement} field
+ * @returns {string|null}
+ */
+export function fieldLabel(field) {
+  const labelledBy = textOfIds(field.getAttribute('aria-labelledby'));
+  if (labelledBy) return labelledBy;
+  const ariaLabel = field.getAttribute('aria-label')?.trim();
+  if (ariaLabel) return ariaLabel;
+  const labels = field.labels ? [...field.labels] : [
+    field.id ? document.querySelector(`label[for="${CSS.escape(field.id)}"]`) : null,
+    field.closest('label')
+  ].filter(Boolean);
+  const text = labels.map(labelText).filter(Boolean).join(' ');
+  if (text) return text;
+  return field.getAttribute('title') || field.getAttribute('placeholder') || null;
+}
+
+// A radio or checkbox group's name: its fieldset legend or radiogroup label
+function groupLabel(fields) {
+  const group = fields[0].closest('fieldset, [role="radiogroup"], [role="group"]');
+  if (!group || !fields.every(f => group.contains(f))) return null;
+  const legend = group.querySelector(':scope > legend');
+  if (legend) return labelText(legend);
+  return textOfIds(group.getAttribute('aria-labelledby')) || group.getAttribute('aria-label') || null;
+}
+
+function isRequired(field) {
+  return field.required || field.getAttribute('aria-required') === 'true';
+}
+
+function numberOrNull(value) {
+  if (value === null || value === '' || value === undefined) return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+// JSON Schema for one input, textarea or select
+function fieldSchema(field) {
+  const tag = field.tagName;
+  const type = field.type?.toLowerCase();
+  const schema = {};
+
+  if (tag === 'SELECT') {
+    // A required select's empty placeholder option isn't a valid answer
+    const options = [...field.options].filter(o => (!o.disabled || o.selected) && !(isRequired(field) && o.value === ''));
+    const choices = options.map(o => ({ const: o.value, title: o.textContent.replace(/\s+/g, ' ').trim() }));
+    if (field.multiple) {
+      schema.type = 'array';
+      schema.items = { oneOf: choices };
+      schema.uniqueItems = true;
+    } else {
+      schema.type = 'string';
+      schema.oneOf = choices;
+    }
+  } else if (type === 'checkbox') {
+    schema.type = 'boolean';
+    // A required checkbox has to be ticked
+    if (isRequired(field)) schema.const = true;
+  } else if (type === 'number' || type === 'range') {
+    const step = field.getAttribute('step');
+    const min = numberOrNull(field.getAttribute('min'));
+    const integral = step !== 'any' && Number.isInteger(numberOrNull(step) ?? 1) && Number.isInteger(min ?? 0);
+    schema.type = integral ? 'integer' : 'number';
+    if (min !== null) schema.minimum = min;
+    const max = numberOrNull(field.getAttribute('max'));
+    if (max !== null) schema.maximum = max;
+    const stepValue = numberOrNull(step);
+    if (stepValue !== null && stepValue !== 1) schema.multipleOf = stepValue;
+  } else {
+    schema.type = 'string';
+    if (FORMATS[type]) schema.format = FORMATS[type];
+    // Date-like bounds are strings; formatMinimum/formatMaximum are the JSON Schema vocabulary for them
+    if (FORMATS[type] && field.getAttribute('min')) schema.formatMinimum = field.getAttribute('min');
+    if (FORMATS[type] && field.getAttribute('max')) schema.formatMaximum = field.getAttribute('max');
+    if (field.getAttribute('pattern')) schema.pattern = `^(?:${field.getAttribute('pattern')})$`;
+    const minLength = numberOrNull(field.getAttribute('minlength'));
+    if (minLength !== null) schema.minLength = minLength;
+    const maxLength = numberOrNull(field.getAttribute('maxlength'));
+    if (maxLength !== null) schema.maxLength = maxLength;
+    if (type === 'password') schema.writeOnly = true;
+  }
+
+  if (tag === 'INPUT') schema['x-inputType'] = type;
+  if (field.readOnly || field.disabled) schema.readOnly = true;
+  const description = textOfIds(field.getAttribute('aria-describedby'));
+  if (description) schema.description = description;
+  if (field.placeholder) schema.examples = [field.placeholder];
+  return schema;
+}
+
+/**
+ * Describes the form as a JSON Schema document, so a caller can plan a fill
+ * instead of guessing keys. Each property is keyed the way formGetValues and
+ * formFill key fields (see fieldKey) and carries the field's label (title),
+ * type/format, constraints (pattern, minLength/maxLength, minimum/maximum,
+ * formatMinimum/formatMaximum), select options as oneOf { const, title }, and
+ * its current value as `default`. Radio buttons sharing a name become one
+ * property with an option per button; checkboxes sharing a name become an array.
+ * Role-based widgets (see findWidgets) are described by the value formFillWidgets
+ * sets them from, marked with their kind as `x-widget`.
+ *
+ * @param {object} components - The detected form components ({ fields, container }).
+ * @returns {object} A JSON Schema (draft 2020-12) object schema.
+ */
+export function formDescribe(components) {
+  const { fields, container } = components;
+  const form = container?.closest?.('form') || container;
+  const title = (form && (textOfIds(form.getAttribute('aria-labelledby')) || form.getAttribute('aria-label') ||
+    form.querySelector('legend, h1, h2, h3')?.textContent?.replace(/\s+/g, ' ').trim())) || undefined;
+
+  const schema = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    type: 'object',
+    ...(title ? { title } : {}),
+    properties: {},
+    required: []
+  };
+
+  const widgets = findWidgets(container);
+  const described = (fields || []).filter(f => !SKIPPED_TYPES.includes(f.type?.toLowerCase()));
+
+  for (const { el, group } of fieldTargets(described, widgets)) {
+    const key = fieldKey(el, fields.indexOf(el));
+    const members = group || [el];
+    let property;
+    if (group) {
+      const choices = members.map(f => ({ const: f.value, title: fieldLabel(f) || f.value }));
+      const checked = members.filter(f => f.checked).map(f => f.value);
+      property = el.type.toLowerCase() === 'radio'
+        ? { type: 'string', oneOf: choices, ...(checked.length ? { default: checked[0] } : {}) }
+        : { type: 'array', items: { oneOf: choices }, uniqueItems: true, default: checked };
+      const title = groupLabel(members);
+      if (title) property = { title, ...property };
+      if (members.some(f => f.disabled)) property.readOnly = members.every(f => f.disabled);
+    } else {
+      const title = fieldLabel(el);
+      property = { ...(title ? { title } : {}), ...fieldSchema(el) };
+      const value = getFieldValue(el);
+      let current = el.tagName === 'SELECT'
+        ? (el.multiple ? [...el.selectedOptions].map(o => o.value) : value?.value)
+        : value;
+      if (property.type === 'number' || property.type === 'integer') current = numberOrNull(current);
+      if (current !== undefined && current !== null && current !== '') property.default = current;
+    }
+    if (property.readOnly === false) delete property.readOnly;
+    schema.properties[key] = property;
+    if (members.some(isRequired)) schema.required.push(key);
+  }
+
+  // Widgets are keyed the way formFillWidgets matches them: name, id, then accessible name
+  for (const widget of widgets) {
+    const title = fieldLabel(widget.el);
+    const key = widget.name || widget.el.id || title;
+    if (!key || schema.properties[key]) continue;
+    schema.properties[key] = { ...(title ? { title } : {}), ...widgetSchema(widget) };
+    if (widget.el.getAttribute('aria-required') === 'true') schema.required.push(key);
+  }
+
+  return schema;
+}
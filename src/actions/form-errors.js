@@ -0,0 +1,186 @@
+// ============================================
+// FORM VALIDATION ERRORS
+// ============================================
+
+/**
+ * Reads the validation feedback a form shows after a submit and maps it to
+ * fields. A field is in error when it is aria-invalid, fails native
+ * constraint validation (:invalid, unless the form is novalidate), or has an
+ * error-styled message next to it. Its message comes from, in order:
+ *   - aria-errormessage
+ *   - error-styled aria-describedby targets (hints that aren't errors are skipped)
+ *   - an error-styled element in the field's wrapper or right after it
+ *   - the browser's validationMessage
+ *
+ * Error-styled messages in the form that belong to no field (a banner saying
+ * "Email already registered") are returned as the form-level message, if they
+ * weren't there before the submit: a message counts as old only if the same
+ * element still shows the same text, so one that re-rendered is new.
+ */
+
+const FIELD_SELECTOR = 'input:not([type="hidden"]), textarea, select';
+const ERROR_SELECTOR = [
+  '[role="alert"]', '[aria-live="assertive"]', '[class*="error" i]', '[class*="invalid" i]',
+  '[class*="danger" i]', '[data-testid*="error" i]', '[id*="error" i]'
+].join(', ');
+// Longer text is page content that happens to sit in an error-styled wrapper
+const MAX_MESSAGE_LENGTH = 200;
+const MAX_WRAPPER_DEPTH = 4;
+
+function isVisible(el) {
+  return !!el && el.isConnected && el.offsetParent !== null;
+}
+
+function textOf(el) {
+  return (el.innerText ?? el.textContent ?? '').replace(/\s+/g, ' ').trim();
+}
+
+function textOfIds(ids, filter = () => true) {
+  return (ids || '').split(/\s+/).filter(Boolean)
+    .map(id => document.getElementById(id))
+    .filter(el => el && filter(el))
+    .map(textOf)
+    .filter(Boolean)
+    .join(' ');
+}
+
+function isMessage(el) {
+  if (!isVisible(el) || el.querySelector(FIELD_SELECTOR)) return false;
+  const text = textOf(el);
+  return text.length > 0 && text.length <= MAX_MESSAGE_LENGTH;
+}
+
+function isErrorStyled(el) {
+  return el.matches(ERROR_SELECTOR) || !!el.querySelector(ERROR_SELECTOR);
+}
+
+// The field's own wrapper: the largest ancestor holding no other field (radios of one name count as one)
+function fieldWrapper(field, container) {
+  const same = f => f === field || (field.name && f.name === field.name && f.type === field.type);
+  let wrapper = field;
+  for (let depth = 0; depth < MAX_WRAPPER_DEPTH; depth++) {
+    const parent = wrapper.parentElement;
+    if (!parent || parent === container || !container.contains(parent)) break;
+    if ([...parent.querySelectorAll(FIELD_SELECTOR)].some(f => !same(f))) break;
+    wrapper = parent;
+  }
+  return wrapper;
+}
+
+// Error-styled messages inside the wrapper, or the element right after it
+function nearbyMessages(wrapper) {
+  const inside = [...wrapper.querySelectorAll(ERROR_SELECTOR)];
+  const next = wrapper.nextElementSibling;
+  const after = next && next.matches(ERROR_SELECTOR) ? [next] : [];
+  return [...inside, ...after]
+    .filter(isMessage)
+    // Keep the innermost message, not its error-styled wrapper too
+    .filter((el, _, all) => !all.some(other => other !== el && el.contains(other)));
+}
+
+/**
+ * The key a field's value and errors are reported under: its name, else its
+ * id, else its position among the form's fields.
+ *
+ * @param {HTMLElement} field
+ * @param {number} index - The field's index in the form's fields.
+ * @returns {string}
+ */
+export function fieldKey(field, index) {
+  return field.name || field.id || `field-${index}`;
+}
+
+/**
+ * Form-level messages showing right now, for detectFieldErrors' `baseline`.
+ * Capture it before submitting.
+ *
+ * @param {object} components - The detected form components ({ container }).
+ * @returns {Map<HTMLElement, string>} Each message element and the text it shows.
+ */
+export function fieldErrorBaseline(components) {
+  const { container } = components;
+  if (!container) return new Map();
+  return new Map([...container.querySelectorAll(ERROR_SELECTOR)].filter(isMessage).map(el => [el, textOf(el)]));
+}
+
+/**
+ * Collect the validation errors the form shows, mapped to fields.
+ *
+ * @param {object} components - The detected form components ({ fields, container }).
+ * @param {object} [options]
+ * @param {Map<HTMLElement, string>} [options.baseline] - From fieldErrorBaseline; form-level
+ *   messages still showing the same text in the same element are ignored.
+ * @returns {{ errors: object, message: string|null }} `errors` maps each field
+ *   (keyed by fieldKey, like formGetValues) to its message; `message` is
+ *   new error text that belongs to no field.
+ */
+export function detectFieldErrors(components, options = {}) {
+  const { container, fields = [] } = components;
+  const form = container?.closest?.('form') || container?.querySelector?.('form');
+  const noValidate = !!form?.noValidate;
+  const errors = {};
+  const claimed = new Set();
+
+  // Role-based widgets (comboboxes, switches) aren't in `fields` but can be aria-invalid too
+  const widgets = container ? [...container.querySelectorAll('[aria-invalid="true"]')].filter(el => !fields.includes(el)) : [];
+
+  [...fields, ...widgets].forEach((field, i) => {
+    if (!isVisible(field)) return;
+    const key = fieldKey(field, i);
+    if (errors[key]) return;
+
+    const wrapper = container ? fieldWrapper(field, container) : field;
+    const nearby = nearbyMessages(wrapper);
+    nearby.forEach(el => claimed.add(el));
+    const described = textOfIds(field.getAttribute('aria-describedby'), el => isVisible(el) && isErrorStyled(el));
+    (field.getAttribute('aria-describedby') || '').split(/\s+/).forEach(id => {
+      const el = id && document.getElementById(id);
+      if (el) claimed.add(el);
+    });
+
+    const ariaInvalid = field.getAttribute('aria-invalid') === 'true';
+    const nativeInvalid = !noValidate && field.willValidate && field.matches(':invalid');
+    if (!ariaInvalid && !nativeInvalid && nearby.length === 0 && !described) return;
+
+    errors[key] = (ariaInvalid && textOfIds(field.getAttribute('aria-errormessage'), isVisible)) ||
+      described ||
+      (nearby.length > 0 ? textOf(nearby[0]) : '') ||
+      field.validationMessage ||
+      'Invalid value';
+  });
+
+  const baseline = options.baseline || new Map();
+  const general = container
+    ? [...container.querySelectorAll(ERROR_SELECTOR)]
+      .filter(el => isMessage(el) && ![...claimed].some(c => c.contains(el) || el.contains(c)) && baseline.get(el) !== textOf(el))
+      .filter((el, _, all) => !all.some(other => other !== el && el.contains(other)))
+    : [];
+
+  return { errors, message: general.length > 0 ? general.map(textOf).join(' ') : null };
+}
+
+/**
+ * Resolve with the errors once any show, or with the (empty) result after
+ * `timeout` ms.
+ *
+ * @param {object} components - The detected form components ({ fields, container }).
+ * @param {object} options
+ * @param {Map<HTMLElement, string>} [options.baseline] - From fieldErrorBaseline.
+ * @param {number} options.timeout
+ * @returns {Promise<{ errors: object, message: string|null }>}
+ */
+export function waitForFieldErrors(components, options) {
+  const { baseline, timeout } = options;
+  return new Promise(resolve => {
+    const start = Date.now();
+    const poll = () => {
+      const found = detectFieldErrors(components, { baseline });
+      if (Object.keys(found.errors).length > 0 || found.message || Date.now() - start >= timeout) {
+        resolve(found);
+        return;
+      }
+      setTimeout(poll, 100);
+    };
+    poll();
+  });
+}
@@ -0,0 +1,568 @@
+// ============================================
+// FORM WIDGETS
+// ============================================
+
+import { setText } from './text-input.js';
+
+/**
+ * Sets the controls that modern forms build from ARIA roles instead of
+ * native inputs, the way a user would: clicking and pressing keys, then
+ * reading back the state the widget announces.
+ *
+ * Widget kinds:
+ *   'toggle'     - role="switch" / role="checkbox"; verified by aria-checked
+ *   'choice'     - role="radiogroup" of role="radio" items, or a group of
+ *                  aria-pressed buttons; verified by the option's checked/pressed/selected state
+ *   'combobox'   - role="combobox" with a listbox of role="option"; verified by the displayed value
+ *   'range'      - role="slider" / role="spinbutton"; verified by aria-valuenow
+ *   'date'       - a group of date segment spinbuttons (day, month, year...)
+ *   'datepicker' - a text input with a date format hint or a known picker
+ *   'chips'      - a text input that turns each entry into a chip
+ *
+ * The last two are native inputs recognized by the value they are given
+ * (see nativeWidgetKind).
+ */
+
+const WIDGET_SELECTOR = [
+  '[role="switch"]', '[role="checkbox"]', '[role="radiogroup"]', '[role="group"]',
+  '[role="combobox"]', '[role="slider"]', '[role="spinbutton"]'
+].join(', ');
+const CHOICE_SELECTOR = '[role="radio"], [aria-pressed]';
+// Headless selects and switches mirror their value into a hidden input (or an aria-hidden <select>) for form posts
+const BACKING_SELECTOR = 'input[type="hidden"], input[aria-hidden="true"], select[aria-hidden="true"]';
+const NATIVE_FIELD_SELECTOR = 'input:not([type="hidden"]):not([aria-hidden="true"]), select:not([aria-hidden="true"]), textarea';
+const TEXT_TYPES = ['text', 'search', 'email', 'tel', 'url', ''];
+// Pickers that parse what is typed into their input
+const KNOWN_PICKER_SELECTOR = '.flatpickr-input, .hasDatepicker, [data-provide="datepicker"], .react-datepicker__input-container input';
+const DATE_VALUE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2}))?/;
+const KEY_CODES = { ' ': 'Space', ',': 'Comma' };
+const STEP_MS = 50;
+const MAX_KEY_STEPS = 200;
+
+function isVisible(el) {
+  return !!el && el.isConnected && el.offsetParent !== null;
+}
+
+function textOf(el) {
+  return (el.innerText ?? el.textContent ?? '').replace(/\s+/g, ' ').trim();
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function pollFor(fn, timeout) {
+  return new Promise(resolve => {
+    const start = Date.now();
+    const poll = () => {
+      const value = fn();
+      if (value || Date.now() - start > timeout) {
+        resolve(value || null);
+        return;
+      }
+      setTimeout(poll, STEP_MS);
+    };
+    poll();
+  });
+}
+
+// Headless widgets react to pointer events, others to click; usePress-style handlers ignore the click after a press
+function press(el) {
+  const init = { bubbles: true, cancelable: true, button: 0, pointerType: 'mouse' };
+  el.dispatchEvent(new PointerEvent('pointerdown', init));
+  el.dispatchEvent(new MouseEvent('mousedown', init));
+  el.focus?.();
+  el.dispatchEvent(new PointerEvent('pointerup', init));
+  el.dispatchEvent(new MouseEvent('mouseup', init));
+  el.click();
+}
+
+/**
+ * Dispatch a keydown/keyup pair.
+ *
+ * @returns {boolean} False if the keydown was cancelled (the widget handled it).
+ */
+function key(el, name) {
+  const code = KEY_CODES[name] || (/^\d$/.test(name) ? `Digit${name}` : name);
+  const init = { key: name, code, bubbles: true, cancelable: true };
+  const accepted = el.dispatchEvent(new KeyboardEvent('keydown', init));
+  el.dispatchEvent(new KeyboardEvent('keyup', init));
+  return accepted;
+}
+
+function isOn(el) {
+  const state = el.getAttribute('data-state');
+  return el.getAttribute('aria-checked') === 'true' || el.getAttribute('aria-pressed') === 'true' ||
+    el.getAttribute('aria-selected') === 'true' || state === 'checked' || state === 'on' || state === 'active';
+}
+
+function wantsOn(value) {
+  return value === true || value === 'true' || value === 1 || value === 'on';
+}
+
+function numberOrNull(value) {
+  if (value === null || value === '' || value === undefined) return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function optionLabel(option) {
+  return option.getAttribute('aria-label')?.trim() || textOf(option);
+}
+
+function matchOption(options, value) {
+  const wanted = String(value).trim().toLowerCase();
+  const valueOf = o => (o.getAttribute('data-value') ?? o.getAttribute('value') ?? '').toLowerCase();
+  return options.find(o => optionLabel(o).toLowerCase() === wanted || valueOf(o) === wanted) ||
+    options.find(o => optionLabel(o).toLowerCase().includes(wanted)) ||
+    null;
+}
+
+function widgetKind(el) {
+  const role = el.getAttribute('role');
+  // Native checkboxes, radios, ranges and selects go through setFieldValue
+  if (['INPUT', 'SELECT', 'TEXTAREA'].includes(el.tagName) && role !== 'combobox') return null;
+  switch (role) {
+    case 'switch':
+    case 'checkbox':
+      return 'toggle';
+    case 'radiogroup':
+      return el.querySelector('[role="radio"]') ? 'choice' : null;
+    case 'group':
+      // A group holding native fields is a form section, not a widget
+      if (el.querySelector(NATIVE_FIELD_SELECTOR)) return null;
+      if (el.querySelectorAll('[role="spinbutton"]').length >= 2) return 'date';
+      return el.querySelector('[aria-pressed]') ? 'choice' : null;
+    case 'combobox':
+      return 'combobox';
+    case 'slider':
+    case 'spinbutton':
+      return 'range';
+    default:
+      return null;
+  }
+}
+
+// Libraries render it inside the widget or right after it
+function backingInput(el) {
+  const candidates = [el.nextElementSibling, ...el.querySelectorAll(BACKING_SELECTOR)];
+  return candidates.find(c => c?.matches(BACKING_SELECTOR)) || null;
+}
+
+/**
+ * Find the visible role-based widgets in a form, outermost only (a date
+ * group's segments and a radiogroup's radios are parts of their group).
+ *
+ * @param {HTMLElement} container - The form container.
+ * @returns {Array<{ kind: string, el: HTMLElement, input: HTMLElement|null, name: string|null }>}
+ *   `input` is the hidden input carrying the widget's value, if any.
+ */
+export function findWidgets(container) {
+  if (!container?.querySelectorAll) return [];
+  const widgets = [];
+  for (const el of container.querySelectorAll(WIDGET_SELECTOR)) {
+    // Widgets on hidden steps or collapsed sections can't be operated
+    if (widgets.some(w => w.el.contains(el)) || !isVisible(el)) continue;
+    const kind = widgetKind(el);
+    if (!kind) continue;
+    const input = backingInput(el);
+    widgets.push({ kind, el, input, name: el.getAttribute('name') || input?.name || null });
+  }
+  return widgets;
+}
+
+/**
+ * JSON Schema for the value setWidgetValue takes for a widget, with the value
+ * it shows now as `default`. Comboboxes list no options: most render them
+ * only while open.
+ *
+ * @param {{ kind: string, el: HTMLElement }} widget - From findWidgets.
+ * @returns {object}
+ */
+export function widgetSchema(widget) {
+  const { kind, el } = widget;
+  const schema = { 'x-widget': kind };
+  if (el.getAttribute('aria-disabled') === 'true' || el.getAttribute('aria-readonly') === 'true') schema.readOnly = true;
+
+  if (kind === 'toggle') return { type: 'boolean', ...schema, default: isOn(el) };
+  if (kind === 'choice') {
+    const options = [...el.querySelectorAll(CHOICE_SELECTOR)];
+    const selected = options.find(isOn);
+    return {
+      type: 'string',
+      oneOf: options.map(o => ({ const: o.getAttribute('data-value') ?? o.getAttribute('value') ?? optionLabel(o), title: optionLabel(o) })),
+      ...schema,
+      ...(selected ? { default: selected.getAttribute('data-value') ?? selected.getAttribute('value') ?? optionLabel(selected) } : {})
+    };
+  }
+  if (kind === 'range') {
+    const min = numberOrNull(el.getAttribute('aria-valuemin'));
+    const max = numberOrNull(el.getAttribute('aria-valuemax'));
+    const now = numberOrNull(el.getAttribute('aria-valuenow'));
+    return {
+      type: 'number',
+      ...(min !== null ? { minimum: min } : {}),
+      ...(max !== null ? { maximum: max } : {}),
+      ...schema,
+      ...(now !== null ? { default: now } : {})
+    };
+  }
+  if (kind === 'date') return { type: 'string', format: 'date', ...schema };
+  const shown = displayedValue(el);
+  return { type: 'string', ...schema, ...(shown ? { default: shown } : {}) };
+}
+
+/**
+ * The widget kind a native input acts as for this value: an array for a text
+ * input means chips, an ISO date for a text input with a date format
+ * (placeholder or data-date-format, see datePattern) or a known picker's
+ * class means a datepicker.
+ *
+ * @param {HTMLElement} field
+ * @param {*} value
+ * @returns {'chips'|'datepicker'|null}
+ */
+export function nativeWidgetKind(field, value) {
+  if (field.tagName !== 'INPUT' || !TEXT_TYPES.includes(field.type?.toLowerCase() ?? '')) return null;
+  if (Array.isArray(value)) return 'chips';
+  if (dateParts(value) && (datePattern(field) || field.matches(KNOWN_PICKER_SELECTOR))) return 'datepicker';
+  return null;
+}
+
+// ---- toggles and choices ----
+
+async function setToggle(el, value) {
+  const wanted = wantsOn(value);
+  if (isOn(el) !== wanted) {
+    press(el);
+    // A press that toggled twice (pointer and click) or not at all: try the keyboard
+    if (!await pollFor(() => isOn(el) === wanted, 300)) {
+      key(el, ' ');
+      await pollFor(() => isOn(el) === wanted, 300);
+    }
+  }
+  const on = isOn(el);
+  return on === wanted
+    ? { verified: true, shown: on }
+    : { verified: false, shown: on, error: `Still ${on ? 'checked' : 'unchecked'} after clicking and pressing Space` };
+}
+
+async function setChoice(el, value) {
+  const option = matchOption([...el.querySelectorAll(CHOICE_SELECTOR)], value);
+  if (!option) return { verified: false, error: `No option matching "${value}"` };
+  const label = optionLabel(option);
+  // Groups may re-render their options, so read the selection back from the group
+  const selected = () => [...el.querySelectorAll(CHOICE_SELECTOR)].find(o => isOn(o) && optionLabel(o) === label);
+
+  if (!selected()) {
+    press(option);
+    if (!await pollFor(selected, 300) && option.isConnected) {
+      key(option, ' ');
+      await pollFor(selected, 300);
+    }
+  }
+  return selected()
+    ? { verified: true, shown: label }
+    : { verified: false, error: `Option "${label}" did not become selected` };
+}
+
+// ---- comboboxes ----
+
+// The element that takes typed text: the combobox itself or an input inside it
+function typingTarget(el) {
+  if (el.matches('input, textarea, [contenteditable="true"]')) return el;
+  return el.querySelector('input:not([type="hidden"]), [contenteditable="true"]');
+}
+
+function findListbox(el, exclude) {
+  const owners = [el, typingTarget(el)].filter(Boolean);
+  for (const owner of owners) {
+    const ids = `${owner.getAttribute('aria-controls') || ''} ${owner.getAttribute('aria-owns') || ''}`.split(/\s+/).filter(Boolean);
+    for (const id of ids) {
+      const byId = document.getElementById(id);
+      const listbox = byId?.matches('[role="listbox"]') ? byId : byId?.querySelector('[role="listbox"]');
+      if (isVisible(listbox)) return listbox;
+    }
+  }
+  // Portalled listboxes: the most recently added visible one that wasn't open before
+  const listboxes = [...document.querySelectorAll('[role="listbox"]')]
+    .filter(l => isVisible(l) && !exclude.includes(l) && l.querySelector('[role="option"]'));
+  return listboxes[listboxes.length - 1] || null;
+}
+
+async function openListbox(el, exclude) {
+  const target = typingTarget(el) || el;
+  el.dispatchEvent(new PointerEvent('pointerdown', { bubbles: true, cancelable: true, button: 0, pointerType: 'mouse' }));
+  let listbox = await pollFor(() => findListbox(el, exclude), 300);
+  if (!listbox) {
+    el.click();
+    listbox = await pollFor(() => findListbox(el, exclude), 500);
+  }
+  if (!listbox) {
+    key(target, 'ArrowDown');
+    listbox = await pollFor(() => findListbox(el, exclude), 500);
+  }
+  return listbox;
+}
+
+// Keyboard selection: move the active descendant onto the option, then Enter
+async function chooseByKeyboard(target, option) {
+  if (!option.id) return;
+  for (let i = 0; i < MAX_KEY_STEPS && option.isConnected; i++) {
+    if (target.getAttribute('aria-activedescendant') === option.id) {
+      key(target, 'Enter');
+      return;
+    }
+    const before = target.getAttribute('aria-activedescendant');
+    key(target, 'ArrowDown');
+    await wait(STEP_MS);
+    if (target.getAttribute('aria-activedescendant') === before) return;
+  }
+}
+
+function displayedValue(el) {
+  const target = typingTarget(el);
+  return target && target.tagName === 'INPUT' ? target.value : textOf(el);
+}
+
+/**
+ * An element near the input (up to three levels up) that shows exactly this
+ * text: the chip or tag an entry turned into.
+ */
+function chipShown(field, item) {
+  const wanted = item.trim().toLowerCase();
+  let scope = field.parentElement;
+  for (let depth = 0; scope && depth < 3; depth++, scope = scope.parentElement) {
+    for (const el of scope.querySelectorAll('*')) {
+      if (el.contains(field) || el.closest('[role="listbox"], label')) continue;
+      if (textOf(el).toLowerCase() === wanted) return el;
+    }
+  }
+  return null;
+}
+
+async function pickOption(el, item, multiple) {
+  const target = typingTarget(el);
+  const exclude = [...document.querySelectorAll('[role="listbox"]')].filter(isVisible);
+  // Typing filters the options (and opens most autocompletes)
+  if (target) setText(target, item);
+  let listbox = await pollFor(() => findListbox(el, exclude), 300);
+  if (!listbox) listbox = await openListbox(el, exclude);
+  if (!listbox) return { verified: false, error: 'Listbox did not open' };
+
+  // Filtered options may arrive asynchronously
+  const option = await pollFor(() => matchOption([...listbox.querySelectorAll('[role="option"]')], item), 1000);
+  if (!option) {
+    key(target || el, 'Escape');
+    return { verified: false, error: `No option matching "${item}"` };
+  }
+
+  const label = optionLabel(option);
+  const shows = () => multiple
+    ? chipShown(target || el, label)
+    : displayedValue(el).toLowerCase().includes(label.toLowerCase()) && displayedValue(el);
+  if (!(option.getAttribute('aria-selected') === 'true' && shows())) {
+    press(option);
+    if (!await pollFor(shows, 500)) {
+      await chooseByKeyboard(target || el, option);
+      await pollFor(shows, 500);
+    }
+  }
+  const shown = shows();
+  return shown
+    ? { verified: true, shown: multiple ? label : shown }
+    : { verified: false, error: `Combobox does not show "${label}"` };
+}
+
+async function setCombobox(el, value) {
+  if (!Array.isArray(value)) return pickOption(el, String(value), false);
+  const shown = [];
+  for (const item of value) {
+    const result = await pickOption(el, String(item), true);
+    if (!result.verified) return result;
+    shown.push(result.shown);
+  }
+  return { verified: true, shown };
+}
+
+// ---- sliders and spinbuttons ----
+
+async function setRange(el, value) {
+  const target = numberOrNull(value);
+  if (target === null) return { verified: false, error: `Not a number: ${value}` };
+  const now = () => numberOrNull(el.getAttribute('aria-valuenow'));
+  const min = numberOrNull(el.getAttribute('aria-valuemin'));
+  const max = numberOrNull(el.getAttribute('aria-valuemax'));
+  const slider = el.getAttribute('role') === 'slider';
+  el.focus?.();
+
+  if (now() !== target && (target === min || target === max)) {
+    key(el, target === min ? 'Home' : 'End');
+    await pollFor(() => now() === target, 300);
+  }
+
+  // Arrow keys move one step; PageUp/PageDown a bigger one, until one overshoots
+  let step = null;
+  let paging = true;
+  for (let i = 0; i < MAX_KEY_STEPS; i++) {
+    const current = now();
+    if (current === null || current === target) break;
+    const up = current < target;
+    const page = paging && step !== null && Math.abs(target - current) > step * 10;
+    key(el, page ? (up ? 'PageUp' : 'PageDown') : slider ? (up ? 'ArrowRight' : 'ArrowLeft') : (up ? 'ArrowUp' : 'ArrowDown'));
+    await pollFor(() => now() !== current, 200);
+    const next = now();
+    if (next === current) break;
+    if (!page) step = Math.abs(next - current);
+    if (next !== target && (next < target) !== up) {
+      if (!page) break;
+      paging = false;
+    }
+  }
+
+  const reached = now();
+  return reached === target
+    ? { verified: true, shown: el.getAttribute('aria-valuetext') || reached }
+    : { verified: false, shown: reached, error: `aria-valuenow is ${reached}, not ${target}` };
+}
+
+// ---- dates ----
+
+function dateParts(value) {
+  const iso = value instanceof Date && !isNaN(value) ? value.toISOString() : typeof value === 'string' ? value.trim() : '';
+  const match = iso.match(DATE_VALUE);
+  if (!match) return null;
+  const [, year, month, day, hour, minute] = match;
+  return {
+    year: Number(year), month: Number(month), day: Number(day),
+    ...(hour !== undefined ? { hour: Number(hour), minute: Number(minute) } : {})
+  };
+}
+
+function segmentType(segment) {
+  const name = `${segment.getAttribute('data-type') || ''} ${segment.getAttribute('aria-label') || ''}`.toLowerCase();
+  if (/year/.test(name)) return 'year';
+  if (/month/.test(name)) return 'month';
+  if (/minute/.test(name)) return 'minute';
+  if (/hour/.test(name)) return 'hour';
+  if (/period/.test(name)) return null;
+  if (/day/.test(name)) return 'day';
+  return null;
+}
+
+// Segments take digits as keys; where a keydown isn't handled, as beforeinput text
+function typeDigits(segment, digits) {
+  for (const digit of digits) {
+    if (key(segment, digit)) {
+      segment.dispatchEvent(new InputEvent('beforeinput', { inputType: 'insertText', data: digit, bubbles: true, cancelable: true }));
+      segment.dispatchEvent(new InputEvent('input', { inputType: 'insertText', data: digit, bubbles: true }));
+    }
+  }
+}
+
+async function setDateSegments(el, value) {
+  const parts = dateParts(value);
+  if (!parts) return { verified: false, error: `Not an ISO date: ${value}` };
+  const segments = [...el.querySelectorAll('[role="spinbutton"]')]
+    .map(segment => ({ segment, type: segmentType(segment) }))
+    .filter(s => s.type && parts[s.type] !== undefined);
+  if (segments.length === 0) return { verified: false, error: 'No date segments recognized' };
+
+  for (const { segment, type } of segments) {
+    if (numberOrNull(segment.getAttribute('aria-valuenow')) === parts[type]) continue;
+    segment.focus?.();
+    typeDigits(segment, String(parts[type]).padStart(type === 'year' ? 4 : 2, '0'));
+    await wait(STEP_MS);
+  }
+
+  const wrong = segments.filter(({ segment, type }) => numberOrNull(segment.getAttribute('aria-valuenow')) !== parts[type]);
+  return wrong.length === 0
+    ? { verified: true, shown: textOf(el) }
+    : { verified: false, shown: textOf(el), error: `Date segments not set: ${wrong.map(s => s.type).join(', ')}` };
+}
+
+// A placeholder such as "MM/DD/YYYY" or "dd.mm.yy"
+function datePattern(field) {
+  const pattern = field.getAttribute('data-date-format') || field.placeholder || '';
+  return /\by{2,4}\b/i.test(pattern) && /\bm{1,2}\b/i.test(pattern) && /\bd{1,2}\b/i.test(pattern) ? pattern : null;
+}
+
+function formatDate(parts, pattern) {
+  return pattern.replace(/\b(y{4}|y{2}|m{1,2}|d{1,2})\b/gi, token => {
+    const t = token.toLowerCase();
+    if (t === 'yyyy') return String(parts.year);
+    if (t === 'yy') return String(parts.year % 100).padStart(2, '0');
+    const n = t[0] === 'm' ? parts.month : parts.day;
+    return t.length === 2 ? String(n).padStart(2, '0') : String(n);
+  });
+}
+
+async function setDatepicker(field, value) {
+  const parts = dateParts(value);
+  const pattern = datePattern(field);
+  // Without a format to follow, a known picker gets the date as given
+  const text = pattern ? formatDate(parts, pattern) : typeof value === 'string' ? value.trim() : value.toISOString().slice(0, 10);
+  setText(field, text);
+  // Pickers commit typed dates when focus leaves (and close their calendar on Tab)
+  key(field, 'Tab');
+  field.blur();
+  // The picker may reformat the date ("3/7/2024" → "03/07/2024"); compare the numbers
+  const shows = () => {
+    const numbers = (field.value.match(/\d+/g) || []).map(Number);
+    return [parts.month, parts.day].every(n => numbers.includes(n)) &&
+      (numbers.includes(parts.year) || numbers.includes(parts.year % 100));
+  };
+  return await pollFor(shows, 500)
+    ? { verified: true, shown: field.value }
+    : { verified: false, shown: field.value, error: `Date input shows "${field.value}" after typing "${text}"` };
+}
+
+// ---- chips ----
+
+async function setChips(field, items) {
+  const missing = [];
+  for (const item of items.map(String)) {
+    if (chipShown(field, item)) continue;
+    setText(field, item);
+    // Tag inputs commit on Enter, some on a comma
+    key(field, 'Enter');
+    if (!await pollFor(() => chipShown(field, item), 500)) {
+      key(field, ',');
+      if (!await pollFor(() => chipShown(field, item), 300)) missing.push(item);
+    }
+  }
+  return missing.length === 0
+    ? { verified: true, shown: items }
+    : { verified: false, error: `No chip shown for: ${missing.join(', ')}` };
+}
+
+const SETTERS = {
+  toggle: setToggle,
+  choice: setChoice,
+  combobox: setCombobox,
+  range: setRange,
+  date: setDateSegments,
+  datepicker: setDatepicker,
+  chips: setChips
+};
+
+/**
+ * Set a widget through clicks and keys, then verify the state it shows.
+ *
+ * @param {{ kind: string, el: HTMLElement }} widget - From findWidgets, or a
+ *   native input with the kind from nativeWidgetKind.
+ * @param {*} value - A boolean for toggles, an option label or value for
+ *   choices and comboboxes (an array for multi-select comboboxes and chips),
+ *   a number for ranges, an ISO date (YYYY-MM-DD) for dates.
+ * @returns {Promise<{ verified: boolean, shown?: *, error?: string }>} `shown`
+ *   is what the widget displays afterwards.
+ */
+export async function setWidgetValue(widget, value) {
+  const setter = SETTERS[widget.kind];
+  if (!setter) return { verified: false, error: `Unknown widget kind: ${widget.kind}` };
+  try {
+    return await setter(widget.el, value);
+  } catch (e) {
+    return { verified: false, error: e.message };
+  }
+}
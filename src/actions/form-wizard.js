@@ -0,0 +1,286 @@
+// ============================================
+// FORM WIZARD NAVIGATION
+// ============================================
+
+import { ValueScanner } from '../core/value-scanner.js';
+import { getElementPath, resolveElement } from '../core/element-path.js';
+import { formFillWidgets } from './form-api.js';
+import { detectFieldErrors } from './form-errors.js';
+
+/**
+ * Drives forms split across steps (sign-up, checkout): fill the fields the
+ * current step shows from one data object, press Next, and repeat while data
+ * remains. The bound form container is widened to the element that holds the
+ * Next button, since steps often re-render the form itself.
+ *
+ * A step counts as advanced only if a ValueScanner diff taken around the
+ * Next click shows it: the step's fields were removed, replaced or hidden,
+ * new fields appeared, or the step indicator moved. A Next that only
+ * produced validation messages leaves the step's fields in place.
+ */
+
+const FIELD_SELECTOR = 'input:not([type="hidden"]), textarea, select';
+const BUTTON_SELECTOR = 'button, [role="button"], input[type="submit"], input[type="button"], a[href]';
+const NEXT_LABEL = /^(next|continue|proceed|go on|forward|weiter|suivant|siguiente)\b|^save (and|&) (continue|next)\b/i;
+const BACK_LABEL = /^(back|previous|prev|go back|zurück|retour|atrás)\b/i;
+const STEP_TEXT = /\bstep\s+(\d+)\s*(?:of|\/)\s*(\d+)\b/i;
+const ACTIVE_CLASS = /\b[\w-]*(active|current|selected)\b/i;
+const MAX_ROOT_DEPTH = 4;
+
+function isVisible(el) {
+  return !!el && el.isConnected && el.offsetParent !== null;
+}
+
+function textOf(el) {
+  return (el.innerText ?? el.textContent ?? '').replace(/\s+/g, ' ').trim();
+}
+
+function buttonLabel(button) {
+  return textOf(button) || button.getAttribute('aria-label')?.trim() || button.value || '';
+}
+
+function isDisabled(button) {
+  return button.disabled || button.getAttribute('aria-disabled') === 'true';
+}
+
+function findButton(root, pattern) {
+  return [...root.querySelectorAll(BUTTON_SELECTOR)]
+    .filter(b => isVisible(b) && pattern.test(buttonLabel(b)))
+    .sort((a, b) => isDisabled(a) - isDisabled(b))[0] || null;
+}
+
+// The form's element, or the ancestor that also holds the Next/Back buttons
+function wizardRoot(container) {
+  let root = container;
+  for (let depth = 0; root && depth < MAX_ROOT_DEPTH; depth++) {
+    if (findButton(root, NEXT_LABEL) || findButton(root, BACK_LABEL)) return root;
+    if (!root.parentElement || root.parentElement === document.body) break;
+    root = root.parentElement;
+  }
+  return container;
+}
+
+// Index of a step item among its siblings in the indicator list
+function stepItem(el, source) {
+  const item = el.closest('li') || el;
+  const items = [...(item.parentElement?.children || [])];
+  return { index: items.indexOf(item) + 1, total: items.length, label: textOf(el) || null, source };
+}
+
+/**
+ * Read the step indicator: aria-current="step", "Step 2 of 4" text, a step
+ * list with an active item, or a progressbar. Looks in the wizard first,
+ * then anywhere on the page (indicators often sit above the form).
+ *
+ * @returns {{ index: number, total: number|null, label: string|null, source: string }|null}
+ */
+function readStep(root) {
+  for (const scope of [root, document.body]) {
+    const current = scope.querySelector('[aria-current="step"]');
+    if (current) return stepItem(current, 'aria-current');
+
+    const counter = [...scope.querySelectorAll('*')]
+      .find(el => el.children.length === 0 && isVisible(el) && STEP_TEXT.test(el.textContent || ''));
+    if (counter) {
+      const [, index, total] = counter.textContent.match(STEP_TEXT);
+      return { index: Number(index), total: Number(total), label: textOf(counter), source: 'text' };
+    }
+
+    const active = [...scope.querySelectorAll('[class*="step" i] > [class]')]
+      .find(el => ACTIVE_CLASS.test(el.getAttribute('class')) && el.parentElement.children.length > 1);
+    if (active) return stepItem(active, 'class');
+
+    const progress = scope.querySelector('[role="progressbar"][aria-valuenow]');
+    if (progress) {
+      return {
+        index: Number(progress.getAttribute('aria-valuenow')),
+        total: Number(progress.getAttribute('aria-valuemax')) || null,
+        label: progress.getAttribute('aria-valuetext'),
+        source: 'progressbar'
+      };
+    }
+  }
+  return null;
+}
+
+function visibleFields(root) {
+  return [...root.querySelectorAll(FIELD_SELECTOR)].filter(isVisible);
+}
+
+/**
+ * The wizard state of a bound form: its step indicator and whether Next and
+ * Back buttons are showing.
+ *
+ * @param {object} components - The detected form components ({ container }).
+ * @returns {{ wizard: boolean, step: object|null, next: boolean, nextEnabled: boolean, back: boolean, fields: Array<string> }}
+ */
+export function formWizardState(components) {
+  const root = wizardRoot(components.container);
+  const next = root && findButton(root, NEXT_LABEL);
+  const back = root && findButton(root, BACK_LABEL);
+  const step = root ? readStep(root) : null;
+  return {
+    wizard: !!(next || back || step),
+    step,
+    next: !!next,
+    nextEnabled: !!next && !isDisabled(next),
+    back: !!back,
+    fields: root ? visibleFields(root).map(f => f.name || f.id || f.type) : []
+  };
+}
+
+/**
+ * Resolve after `quietMs` without mutations under `target`, or after `maxMs`.
+ */
+function waitForQuiet(target, quietMs, maxMs) {
+  return new Promise(resolve => {
+    let quiet;
+    const done = () => {
+      observer.disconnect();
+      clearTimeout(quiet);
+      clearTimeout(cap);
+      resolve();
+    };
+    const observer = new MutationObserver(() => {
+      clearTimeout(quiet);
+      quiet = setTimeout(done, quietMs);
+    });
+    observer.observe(target, { childList: true, subtree: true, attributes: true, characterData: true });
+    quiet = setTimeout(done, quietMs);
+    const cap = setTimeout(done, maxMs);
+  });
+}
+
+/**
+ * What in the diff shows the wizard moved on from a step.
+ *
+ * @param {object} diff - ValueScanner diff from before the Next click to now.
+ * @param {object} after - The snapshot the diff ended with.
+ * @param {HTMLElement} root - The wizard root; fields appearing elsewhere on the page don't count.
+ * @param {Array<{ el: HTMLElement, path: string }>} fields - The step's fields before the click.
+ * @param {object|null} stepBefore - readStep before the click.
+ * @param {object|null} stepAfter - readStep now.
+ * @returns {Array<string>} Proofs; empty if the step didn't change.
+ */
+function transitionProof(diff, after, root, fields, stepBefore, stepAfter) {
+  const proof = [];
+  const removed = new Set(diff.removed.map(r => r.path));
+  const hidden = new Set(diff.changed.filter(c => c.changes.some(ch => ch.type === 'became-hidden')).map(c => c.path));
+
+  const left = fields.filter(({ el, path }) =>
+    removed.has(path) || hidden.has(path) || after.elements.get(path)?.el !== el || !isVisible(el));
+  if (left.length > 0) proof.push(`${left.length}/${fields.length} fields left`);
+
+  const appeared = [
+    ...diff.added.map(a => a.el),
+    ...diff.changed.filter(c => c.changes.some(ch => ch.type === 'became-visible')).map(c => c.el)
+  ].flatMap(el => (el.matches?.(FIELD_SELECTOR) ? [el] : [...(el.querySelectorAll?.(FIELD_SELECTOR) || [])]))
+    .filter(el => isVisible(el) && !!root?.contains(el));
+  const appearedCount = new Set(appeared).size;
+  if (appearedCount > 0) proof.push(`${appearedCount} field${appearedCount === 1 ? '' : 's'} appeared`);
+
+  if (stepBefore && stepAfter && (stepAfter.index !== stepBefore.index || stepAfter.label !== stepBefore.label)) {
+    proof.push(`step indicator ${stepBefore.index} → ${stepAfter.index}`);
+  }
+  return proof;
+}
+
+/**
+ * Fill a multi-step form: on each step, fill the fields shown from the keys
+ * not used yet (see formFillWidgets), then press Next while keys remain.
+ * Only exact matches (name, id, type or accessible name) are filled, so a
+ * key meant for a later step can't take a partly matching field on this one. Stops on
+ * the step that consumes the last key, leaving the final submit to
+ * formSubmit, or when there is no Next button or a step doesn't advance.
+ *
+ * @param {object} components - The detected form components ({ container }).
+ * @param {object} data - Key-value pairs for every step.
+ * @param {function} [log] - Optional logging function with signature (type, msg).
+ * @param {object} [options]
+ * @param {number} [options.maxSteps=10] - Safety limit on steps.
+ * @param {number} [options.quietMs=300] - Mutation-free period that ends a transition.
+ * @param {number} [options.stepTimeout=5000] - Max ms to wait for a step to advance.
+ * @returns {Promise<{ success: boolean, steps: Array<{ step: number, label: string|null, keys: Array<string>,
+ *   failed: Array<string>, transition?: { verified: boolean, proof: Array<string> }, errors?: object }>,
+ *   consumed: object, remaining: Array<string>, error?: string }>}
+ *   `consumed` maps each filled key to the step it was filled on; a step that
+ *   didn't advance carries the validation errors it shows (see detectFieldErrors).
+ */
+export async function formWizardFill(components, data, log, options = {}) {
+  const logFn = log || (() => {});
+  const maxSteps = options.maxSteps ?? 10;
+  const quietMs = options.quietMs ?? 300;
+  const stepTimeout = options.stepTimeout ?? 5000;
+  if (!components.container) return { success: false, steps: [], consumed: {}, remaining: Object.keys(data), error: 'No form container' };
+
+  let root = wizardRoot(components.container);
+  const rootPath = getElementPath(root);
+  const scanner = new ValueScanner();
+  const remaining = { ...data };
+  const consumed = {};
+  const steps = [];
+  let error = null;
+
+  for (let n = 1; n <= maxSteps; n++) {
+    const fields = visibleFields(root);
+    const stepBefore = readStep(root);
+    const number = stepBefore?.source === 'progressbar' ? n : stepBefore?.index || n;
+
+    const result = Object.keys(remaining).length > 0
+      ? await formFillWidgets({ container: root, fields }, remaining, logFn, { exact: true })
+      : { filled: [] };
+    const keys = result.filled.map(f => f.key);
+    keys.forEach(key => {
+      consumed[key] = number;
+      delete remaining[key];
+    });
+    const step = { step: number, label: stepBefore?.label ?? null, keys, failed: (result.failed || []).map(f => f.key) };
+    steps.push(step);
+    logFn('info', `Step ${number}: filled ${keys.length ? keys.join(', ') : 'nothing'}`);
+
+    if (step.failed.length > 0) {
+      error = `Step ${number}: could not set ${step.failed.join(', ')}`;
+      break;
+    }
+    if (Object.keys(remaining).length === 0) break;
+
+    const next = findButton(root, NEXT_LABEL);
+    if (!next) break;
+    if (isDisabled(next)) {
+      error = `Step ${number}: Next is disabled`;
+      break;
+    }
+
+    const tracked = fields.map(el => ({ el, path: getElementPath(el) }));
+    const before = scanner.firstScan();
+    logFn('info', `Step ${number}: pressing "${buttonLabel(next)}"`);
+    next.click();
+
+    // Steps may wait on validation requests: keep diffing against the pre-click snapshot
+    const started = Date.now();
+    let proof = [];
+    while (proof.length === 0 && Date.now() - started < stepTimeout) {
+      await waitForQuiet(document.body, quietMs, stepTimeout);
+      if (!root.isConnected) root = resolveElement(rootPath) || wizardRoot(components.container);
+      const after = scanner.snapshot();
+      proof = transitionProof(scanner.diff(before, after), after, root, tracked, stepBefore, root ? readStep(root) : null);
+    }
+    step.transition = { verified: proof.length > 0, proof };
+
+    if (!root || !root.isConnected) {
+      error = `Step ${number}: the form is gone after pressing Next`;
+      break;
+    }
+    if (proof.length === 0) {
+      step.errors = detectFieldErrors({ container: root, fields: visibleFields(root) }).errors;
+      const messages = Object.entries(step.errors).map(([field, message]) => `${field}: ${message}`);
+      error = `Step ${number}: did not advance${messages.length > 0 ? ` (${messages.join('; ')})` : ''}`;
+      break;
+    }
+  }
+
+  const left = Object.keys(remaining);
+  if (!error && left.length > 0) error = `No field for ${left.join(', ')}`;
+  logFn(error ? 'warn' : 'success', error || `Filled ${Object.keys(consumed).length} keys over ${steps.length} steps`);
+  return { success: !error, steps, consumed, remaining: left, ...(error ? { error } : {}) };
+}
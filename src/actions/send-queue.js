@@ -0,0 +1,222 @@
+// ============================================
+// CHAT SEND QUEUE
+// ============================================
+
+import { chatSend, chatSendAndWait } from './chat-api.js';
+import { isGenerating } from './chat-stream.js';
+
+/**
+ * Serializes prompts for one chat binding. Each item waits until the chat is
+ * idle before its text is typed:
+ *   - no stop-generation button is showing
+ *   - the input is enabled
+ *   - the conversation text has been quiet for `settleMs` (catches UIs that
+ *     stream without a stop button)
+ * After a fire-and-forget send, the next item also waits briefly for that
+ * reply to start, so it doesn't slip in before the UI reacts. The send itself
+ * resolves as soon as it is submitted.
+ */
+
+function isInputEnabled(input) {
+  if (!input || !input.isConnected) return false;
+  if (input.disabled || input.readOnly) return false;
+  if (input.getAttribute('aria-disabled') === 'true') return false;
+  if (input.isContentEditable === false && input.getAttribute('contenteditable') === 'false') return false;
+  return true;
+}
+
+function conversationText(components) {
+  return components.container?.textContent || '';
+}
+
+export class SendQueue {
+  /**
+   * @param {object} components - The detected chat components ({ input, container, sendButton }).
+   * @param {function} [log] - Optional logging function with signature (type, msg).
+   * @param {object} [options]
+   * @param {number} [options.settleMs=1500] - Quiet period that counts as idle.
+   * @param {number} [options.idleTimeout=120000] - Max ms to wait for idle before failing an item.
+   * @param {number} [options.startTimeout=3000] - Max ms to wait for a reply to start after a send.
+   */
+  constructor(components, log, options = {}) {
+    this.components = components;
+    this.log = log || (() => {});
+    this.settleMs = options.settleMs ?? 1500;
+    this.idleTimeout = options.idleTimeout ?? 120000;
+    this.startTimeout = options.startTimeout ?? 3000;
+    this.items = [];
+    this.running = null;
+    this.draining = false;
+    // Set after a fire-and-forget send: { text, sentAt } for _waitForStart
+    this.awaitingStart = null;
+    this.nextId = 1;
+    this.lastSentAt = null;
+  }
+
+  /**
+   * Queue a message; resolves with chatSend's result once it has been submitted.
+   *
+   * @param {string} text
+   * @param {object} [options] - Passed to chatSend.
+   * @returns {Promise<{ success: boolean, id: number, method?: string, queuedMs?: number, error?: string, cancelled?: boolean }>}
+   */
+  send(text, options) {
+    return this._enqueue('send', text, options);
+  }
+
+  /**
+   * Queue a message; resolves with chatSendAndWait's result once the reply completes.
+   *
+   * @param {string} text
+   * @param {object} [options] - Passed to chatSendAndWait.
+   * @returns {Promise<object>}
+   */
+  sendAndWait(text, options) {
+    return this._enqueue('sendAndWait', text, options);
+  }
+
+  /**
+   * Items not yet finished, the running one first.
+   *
+   * @returns {Array<{ id: number, mode: string, text: string, status: string, enqueuedAt: number }>}
+   */
+  pending() {
+    return [this.running, ...this.items].filter(Boolean).map(({ id, mode, text, status, enqueuedAt }) =>
+      ({ id, mode, text, status, enqueuedAt })
+    );
+  }
+
+  /**
+   * Cancel a waiting item. The item currently being sent can't be cancelled.
+   *
+   * @param {number} id
+   * @returns {boolean} True if the item was removed.
+   */
+  cancel(id) {
+    const index = this.items.findIndex(item => item.id === id);
+    if (index === -1) return false;
+    const [item] = this.items.splice(index, 1);
+    item.resolve({ success: false, id, cancelled: true, error: 'Cancelled' });
+    this.log('info', `Cancelled queued message #${id}`);
+    return true;
+  }
+
+  /**
+   * Cancel every waiting item.
+   *
+   * @returns {number} How many items were cancelled.
+   */
+  clear() {
+    const ids = this.items.map(item => item.id);
+    ids.forEach(id => this.cancel(id));
+    return ids.length;
+  }
+
+  /**
+   * Whether the chat is idle right now (ignoring the quiet-period check).
+   *
+   * @returns {boolean}
+   */
+  isIdle() {
+    return !isGenerating(this.components) && isInputEnabled(this.components.input);
+  }
+
+  _enqueue(mode, text, options) {
+    return new Promise(resolve => {
+      const item = { id: this.nextId++, mode, text, options, status: 'pending', enqueuedAt: Date.now(), resolve };
+      this.items.push(item);
+      if (this.running || this.items.length > 1) {
+        this.log('info', `Queued message #${item.id} (${this.pending().length} pending)`);
+      }
+      this._drain();
+    });
+  }
+
+  async _drain() {
+    if (this.draining) return;
+    this.draining = true;
+    while (this.items.length > 0) {
+      if (this.awaitingStart) {
+        await this._waitForStart(this.awaitingStart);
+        this.awaitingStart = null;
+        // Everything may have been cancelled meanwhile
+        if (this.items.length === 0) break;
+      }
+      const item = this.items.shift();
+      this.running = item;
+      item.status = 'waiting-idle';
+
+      let result;
+      if (!(await this._waitForIdle())) {
+        result = { success: false, error: 'Chat did not become idle' };
+      } else {
+        item.status = 'sending';
+        const queuedMs = Date.now() - item.enqueuedAt;
+        try {
+          result = item.mode === 'sendAndWait'
+            ? await chatSendAndWait(this.components, item.text, this.log, item.options)
+            : await chatSend(this.components, item.text, this.log, item.options);
+        } catch (e) {
+          result = { success: false, error: e.message };
+        }
+        result = { ...result, queuedMs };
+        this.lastSentAt = Date.now();
+        if (item.mode === 'send' && result.success) {
+          this.awaitingStart = { text: conversationText(this.components), sentAt: this.lastSentAt };
+        }
+      }
+
+      this.running = null;
+      item.resolve({ ...result, id: item.id });
+    }
+    this.draining = false;
+  }
+
+  _waitForIdle() {
+    return new Promise(resolve => {
+      const start = Date.now();
+      let text = conversationText(this.components);
+      let quietSince = Date.now();
+
+      const poll = () => {
+        const now = Date.now();
+        const current = conversationText(this.components);
+        if (current !== text) {
+          text = current;
+          quietSince = now;
+        }
+        if (this.isIdle() && now - quietSince >= this.settleMs) {
+          resolve(true);
+          return;
+        }
+        if (now - start > this.idleTimeout) {
+          resolve(false);
+          return;
+        }
+        setTimeout(poll, 100);
+      };
+      // Nothing sent through this queue yet: an idle chat needn't wait out the quiet period
+      if (this.isIdle() && this.lastSentAt === null) {
+        resolve(true);
+        return;
+      }
+      poll();
+    });
+  }
+
+  // Give the UI a moment to show the reply starting after a fire-and-forget send,
+  // counted from the send: a next item queued later doesn't wait again
+  _waitForStart({ text, sentAt }) {
+    return new Promise(resolve => {
+      const poll = () => {
+        const started = isGenerating(this.components) || conversationText(this.components) !== text;
+        if (started || Date.now() - sentAt > this.startTimeout) {
+          resolve();
+          return;
+        }
+        setTimeout(poll, 100);
+      };
+      poll();
+    });
+  }
+}
@@ -2,23 +2,43 @@
 // TEXT INPUT ACTIONS (framework-agnostic)
 // ============================================
 
+import { setEditorText, getEditorText } from './editor-adapters.js';
+
 /**
  * Sets text on an input/textarea element using multiple strategies.
- * Order: native setter + InputEvent (React/Vue) → execCommand → paste simulation.
+ * Order: the owning editor's API (see editor-adapters.js) → native setter +
+ * InputEvent (React/Vue) → execCommand → paste simulation.
  * Each attempt is verified before trying the next fallback.
  *
  * @param {HTMLElement} input - The input, textarea, or contenteditable element.
  * @param {string} text - The text to set.
- * @returns {{ success: boolean, method: string }}
+ * @param {object} [options]
+ * @param {boolean} [options.composition=false] - Insert through IME composition events (see composeText).
+ * @returns {{ success: boolean, method: string, fallbackFrom?: string }}
  */
-export function setText(input, text) {
+export function setText(input, text, options = {}) {
   if (!input) return { success: false, method: 'none' };
 
+  if (options.composition) {
+    const composed = composeText(input, text);
+    if (composed.success) return composed;
+    return { ...setText(input, text), fallbackFrom: 'composition' };
+  }
+
+  // Editors with a model of their own (ProseMirror, Lexical, Monaco...) take it through their API
+  const editor = setEditorText(input, text);
+  if (editor && normalizeText(editor.text) === normalizeText(text)) {
+    return { success: true, method: `editor:${editor.editor}` };
+  }
+
   // Route contenteditable elements to dedicated handler
   if (input.contentEditable === 'true' && !('value' in input)) {
     return setContentEditable(input, text);
   }
 
+  // Textarea values normalize line endings; compare against what they'll hold
+  if (input.tagName === 'TEXTAREA') text = text.replace(/\r\n?/g, '\n');
+
   input.focus();
 
   // Method 1: Native setter + InputEvent (works on React/Vue/Angular)
@@ -35,7 +55,7 @@ export function setText(input, text) {
     input.dispatchEvent(new Event('input', { bubbles: true }));
     input.dispatchEvent(new Event('change', { bubbles: true }));
 
-    if (input.value === text) {
+    if (sameValue(input.value, text)) {
       return { success: true, method: 'nativeSetter' };
     }
   } catch (e) {}
@@ -47,7 +67,7 @@ export function setText(input, text) {
     document.execCommand('selectAll', false, null);
     document.execCommand('insertText', false, text);
 
-    if (input.value === text) {
+    if (sameValue(input.value, text)) {
       return { success: true, method: 'execCommand' };
     }
   } catch (e) {}
@@ -66,7 +86,7 @@ export function setText(input, text) {
     });
     input.dispatchEvent(pasteEvent);
 
-    if (input.value === text) {
+    if (sameValue(input.value, text)) {
       return { success: true, method: 'paste' };
     }
   } catch (e) {}
@@ -74,12 +94,78 @@ export function setText(input, text) {
   // Final fallback: brute-force value assignment
   input.value = text;
   input.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: text }));
-  return { success: input.value === text, method: 'directAssign' };
+  return { success: sameValue(input.value, text), method: 'directAssign' };
+}
+
+// Sites and IMEs may store the same text precomposed (NFC) or decomposed (NFD)
+function sameValue(value, text) {
+  return value === text || value.normalize('NFC') === text.normalize('NFC');
+}
+
+const BLOCK_TAGS = new Set(['P', 'DIV', 'LI', 'PRE', 'BLOCKQUOTE', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'TR']);
+
+/**
+ * The text an editor holds, with paragraph and <br> boundaries as newlines
+ * (textContent drops them; innerText depends on layout).
+ *
+ * @param {HTMLElement} el
+ * @returns {string}
+ */
+export function editorText(el) {
+  if ('value' in el) return el.value;
+  let out = '';
+  const walk = (node) => {
+    for (const child of node.childNodes) {
+      if (child.nodeType === Node.TEXT_NODE) {
+        out += child.data;
+      } else if (child.nodeName === 'BR') {
+        out += '\n';
+      } else if (child.nodeType === Node.ELEMENT_NODE) {
+        const block = BLOCK_TAGS.has(child.tagName);
+        if (block && out && !out.endsWith('\n')) out += '\n';
+        walk(child);
+        if (block && !out.endsWith('\n')) out += '\n';
+      }
+    }
+  };
+  walk(el);
+  return out;
+}
+
+// Editors disagree on blank lines, nbsp for runs of spaces, trailing breaks and Unicode normalization
+function normalizeText(text) {
+  return text
+    .normalize('NFC')
+    .replace(/\u00a0/g, ' ')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.replace(/\s+$/, ''))
+    .filter(Boolean)
+    .join('\n')
+    .trim();
 }
 
 /**
- * Sets text on a contenteditable element using dedicated strategies.
- * Handles ProseMirror, TipTap, Slate, and vanilla contenteditable.
+ * Whether an input or editor holds `text`, compared line by line after
+ * normalizing whitespace. Known editors are read from their model, others
+ * from the DOM (see editorText).
+ *
+ * @param {HTMLElement} el
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function textMatches(el, text) {
+  return normalizeText(getEditorText(el) ?? editorText(el)) === normalizeText(text);
+}
+
+/**
+ * Sets text on a contenteditable element using generic strategies, for
+ * editors no adapter recognized (see editor-adapters.js). ProseMirror,
+ * TipTap, Slate, and vanilla contenteditable all react to them.
+ *
+ * Multi-line text is inserted line by line with explicit paragraph breaks
+ * (insertText + insertParagraph, as a keyboard would), so editors keep the
+ * paragraphs and code lines instead of collapsing them or submitting early.
  *
  * @param {HTMLElement} el - The contenteditable element.
  * @param {string} text - The text to set.
@@ -96,7 +182,13 @@ function setContentEditable(el, text) {
     sel.addRange(range);
   };
 
-  const verify = () => el.textContent.trim() === text.trim();
+  const verify = () => textMatches(el, text);
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+
+  if (lines.length > 1) {
+    const multiline = setMultiline(el, lines, selectAll, verify);
+    if (multiline) return multiline;
+  }
 
   // Method 1: execCommand (preserves undo history, works with most editors)
   try {
@@ -126,6 +218,7 @@ function setContentEditable(el, text) {
     selectAll();
     const dt = new DataTransfer();
     dt.setData('text/plain', text);
+    if (lines.length > 1) dt.setData('text/html', paragraphsHTML(lines));
     const pasteEvent = new ClipboardEvent('paste', {
       bubbles: true,
       cancelable: true,
@@ -136,12 +229,15 @@ function setContentEditable(el, text) {
   } catch (e) {}
 
   // Method 4: Direct DOM manipulation (last resort, may break editor state)
-  // For ProseMirror: clear the editor node, insert a text node, fire input
+  // For ProseMirror: clear the editor node, insert one paragraph per line, fire input
   try {
     while (el.firstChild) el.removeChild(el.firstChild);
-    const p = document.createElement('p');
-    p.textContent = text;
-    el.appendChild(p);
+    for (const line of lines) {
+      const p = document.createElement('p');
+      if (line) p.textContent = line;
+      else p.appendChild(document.createElement('br'));
+      el.appendChild(p);
+    }
     el.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: text }));
     if (verify()) return { success: true, method: 'directDOM' };
   } catch (e) {}
@@ -152,15 +248,469 @@ function setContentEditable(el, text) {
   return { success: verify(), method: 'directTextContent' };
 }
 
+function paragraphsHTML(lines) {
+  const escape = (line) => line.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  return lines.map(line => `<p>${line ? escape(line) : '<br>'}</p>`).join('');
+}
+
 /**
- * Searches for a submit button near the given input element.
- * Checks several ancestor containers and tries multiple button selectors.
+ * Line-by-line strategies for multi-line text, tried in order:
+ *   1. execCommand insertText / insertParagraph (browser-native paragraph split)
+ *   2. beforeinput insertText / insertParagraph (Lexical, Slate, and other
+ *      editors that apply input events through their own model)
+ *   3. Shift+Enter between lines (editors whose Enter sends; a keydown nobody
+ *      handles is followed by execCommand insertLineBreak)
  *
- * @param {HTMLElement} input - The input element to search near.
- * @returns {HTMLElement|null} The submit button element, or null if not found.
+ * @returns {{ success: true, method: string }|null} Null if none verified.
  */
-export function findSubmitButton(input) {
-  const searchRoots = [
+function setMultiline(el, lines, selectAll, verify) {
+  const execLines = (breakBetween) => {
+    selectAll();
+    lines.forEach((line, i) => {
+      if (i > 0) breakBetween();
+      if (line) document.execCommand('insertText', false, line);
+    });
+  };
+
+  try {
+    execLines(() => document.execCommand('insertParagraph', false, null));
+    if (verify()) return { success: true, method: 'execCommandParagraphs' };
+  } catch (e) {}
+
+  try {
+    selectAll();
+    const fire = (inputType, data = null) => {
+      el.dispatchEvent(new InputEvent('beforeinput', { bubbles: true, cancelable: true, inputType, data }));
+    };
+    fire('deleteContentBackward');
+    lines.forEach((line, i) => {
+      if (i > 0) fire('insertParagraph');
+      if (line) fire('insertText', line);
+    });
+    el.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: lines.join('\n') }));
+    if (verify()) return { success: true, method: 'beforeInputParagraphs' };
+  } catch (e) {}
+
+  try {
+    execLines(() => {
+      const init = { key: 'Enter', code: 'Enter', keyCode: 13, which: 13, shiftKey: true, bubbles: true, cancelable: true };
+      const handled = !el.dispatchEvent(new KeyboardEvent('keydown', init));
+      if (!handled) document.execCommand('insertLineBreak', false, null);
+      el.dispatchEvent(new KeyboardEvent('keyup', init));
+    });
+    if (verify()) return { success: true, method: 'shiftEnter' };
+  } catch (e) {}
+
+  return null;
+}
+
+// ============================================
+// KEYSTROKE TYPING
+// ============================================
+
+function isContentEditableEl(el) {
+  return !('value' in el) && (el.isContentEditable || el.hasAttribute('contenteditable'));
+}
+
+function currentText(el) {
+  return isContentEditableEl(el) ? el.textContent : el.value;
+}
+
+// KeyboardEvent fields for one character, as a US layout would report them
+function keyInit(char) {
+  if (char === '\n') return { key: 'Enter', code: 'Enter', keyCode: 13, shiftKey: true };
+  const upper = char.toUpperCase();
+  if (/^[a-z]$/i.test(char)) return { key: char, code: `Key${upper}`, keyCode: upper.charCodeAt(0), shiftKey: char !== char.toLowerCase() };
+  if (/^[0-9]$/.test(char)) return { key: char, code: `Digit${char}`, keyCode: char.charCodeAt(0), shiftKey: false };
+  if (char === ' ') return { key: ' ', code: 'Space', keyCode: 32, shiftKey: false };
+  return { key: char, code: '', keyCode: 0, shiftKey: false };
+}
+
+// document.execCommand is deprecated and missing or disabled in some contexts
+function tryExecCommand(command, value) {
+  try {
+    return document.execCommand(command, false, value);
+  } catch (e) {
+    return false;
+  }
+}
+
+function keyEvent(type, init) {
+  return new KeyboardEvent(type, { ...init, which: init.keyCode, bubbles: true, cancelable: true, composed: true });
+}
+
+function placeCaretAtEnd(el) {
+  if (isContentEditableEl(el)) {
+    const range = document.createRange();
+    range.selectNodeContents(el);
+    range.collapse(false);
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+  } else if (el.setSelectionRange) {
+    try { el.setSelectionRange(el.value.length, el.value.length); } catch (e) {}
+  }
+}
+
+// Insert at the caret the way the browser would after an unhandled beforeinput
+function insertAtCaret(el, char, inputType) {
+  if (isContentEditableEl(el)) {
+    const command = inputType === 'insertLineBreak' ? 'insertLineBreak' : 'insertText';
+    // execCommand fires `input` itself
+    if (tryExecCommand(command, char)) return;
+    const sel = window.getSelection();
+    if (!sel.rangeCount) placeCaretAtEnd(el);
+    const range = sel.getRangeAt(0);
+    range.deleteContents();
+    const node = inputType === 'insertLineBreak' ? document.createElement('br') : document.createTextNode(char);
+    range.insertNode(node);
+    range.setStartAfter(node);
+    range.collapse(true);
+    el.dispatchEvent(new InputEvent('input', { bubbles: true, inputType, data: char }));
+    return;
+  }
+
+  const start = el.selectionStart ?? el.value.length;
+  const end = el.selectionEnd ?? el.value.length;
+  const value = el.value.slice(0, start) + char + el.value.slice(end);
+  const proto = el.tagName === 'TEXTAREA' ? HTMLTextAreaElement.prototype : HTMLInputElement.prototype;
+  const setter = Object.getOwnPropertyDescriptor(proto, 'value')?.set;
+  if (setter) setter.call(el, value);
+  else el.value = value;
+  try { el.setSelectionRange(start + char.length, start + char.length); } catch (e) {}
+  el.dispatchEvent(new InputEvent('input', { bubbles: true, inputType, data: inputType === 'insertText' ? char : null }));
+}
+
+function clearForTyping(el) {
+  if (!currentText(el)) return;
+  if (isContentEditableEl(el)) {
+    const range = document.createRange();
+    range.selectNodeContents(el);
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+    if (!tryExecCommand('delete', null)) {
+      el.textContent = '';
+      el.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'deleteContentBackward' }));
+    }
+    return;
+  }
+  const proto = el.tagName === 'TEXTAREA' ? HTMLTextAreaElement.prototype : HTMLInputElement.prototype;
+  const setter = Object.getOwnPropertyDescriptor(proto, 'value')?.set;
+  if (setter) setter.call(el, '');
+  else el.value = '';
+  el.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'deleteContentBackward' }));
+}
+
+/**
+ * Types text one character at a time, the way a keyboard does: keydown,
+ * keypress, beforeinput, the insertion plus input, then keyup. Composers that
+ * only enable their send button or autocomplete on real key events see them.
+ *
+ * A cancelled keydown suppresses the character, as in a browser; a cancelled
+ * beforeinput means the editor inserted it itself. If the typed text doesn't
+ * verify, the value is set with setText's strategies instead.
+ *
+ * @param {HTMLElement} input - The input, textarea, or contenteditable element.
+ * @param {string} text - The text to type.
+ * @param {object} [options]
+ * @param {number} [options.delay=35] - Mean ms between keystrokes.
+ * @param {number} [options.jitter=25] - Max random ms added to or taken from each delay.
+ * @returns {Promise<{ success: boolean, method: string, fallbackFrom?: string }>}
+ */
+export async function typeText(input, text, options = {}) {
+  if (!input) return { success: false, method: 'none' };
+  const delay = options.delay ?? 35;
+  const jitter = options.jitter ?? 25;
+  const pause = () => new Promise(resolve =>
+    setTimeout(resolve, Math.max(0, delay + (Math.random() * 2 - 1) * jitter))
+  );
+
+  input.focus();
+  clearForTyping(input);
+  placeCaretAtEnd(input);
+
+  for (const char of text) {
+    const init = keyInit(char);
+    const inputType = char === '\n' ? 'insertLineBreak' : 'insertText';
+
+    if (input.dispatchEvent(keyEvent('keydown', init))) {
+      if (char !== '\n') input.dispatchEvent(keyEvent('keypress', { ...init, charCode: char.charCodeAt(0) }));
+      const beforeInput = new InputEvent('beforeinput', {
+        bubbles: true,
+        cancelable: true,
+        inputType,
+        data: inputType === 'insertText' ? char : null
+      });
+      if (input.dispatchEvent(beforeInput)) insertAtCaret(input, char, inputType);
+    }
+    input.dispatchEvent(keyEvent('keyup', init));
+    await pause();
+  }
+
+  if (textMatches(input, text)) return { success: true, method: 'typing' };
+
+  const result = setText(input, text);
+  return { ...result, fallbackFrom: 'typing' };
+}
+
+// ============================================
+// IME COMPOSITION
+// ============================================
+
+// Replace the text of the composition in progress, the way an IME does
+function compositionTarget(el) {
+  if (!isContentEditableEl(el)) {
+    const start = el.selectionStart ?? el.value.length;
+    const end = el.selectionEnd ?? el.value.length;
+    const before = el.value.slice(0, start);
+    const after = el.value.slice(end);
+    const proto = el.tagName === 'TEXTAREA' ? HTMLTextAreaElement.prototype : HTMLInputElement.prototype;
+    const setter = Object.getOwnPropertyDescriptor(proto, 'value')?.set;
+    return (data) => {
+      if (setter) setter.call(el, before + data + after);
+      else el.value = before + data + after;
+      try { el.setSelectionRange(start + data.length, start + data.length); } catch (e) {}
+    };
+  }
+
+  const sel = window.getSelection();
+  if (!sel.rangeCount) placeCaretAtEnd(el);
+  const range = sel.getRangeAt(0);
+  range.deleteContents();
+  const node = document.createTextNode('');
+  range.insertNode(node);
+  return (data) => {
+    node.data = data;
+    const caret = document.createRange();
+    caret.setStart(node, data.length);
+    caret.collapse(true);
+    sel.removeAllRanges();
+    sel.addRange(caret);
+  };
+}
+
+// One composition session: start, an update per character as the candidate grows, end
+function composeSegment(el, segment) {
+  el.dispatchEvent(new CompositionEvent('compositionstart', { bubbles: true, cancelable: true, data: '' }));
+  const replace = compositionTarget(el);
+  let composed = '';
+  for (const char of segment) {
+    const data = composed + char;
+    el.dispatchEvent(new InputEvent('beforeinput', { bubbles: true, inputType: 'insertCompositionText', data, isComposing: true }));
+    el.dispatchEvent(new CompositionEvent('compositionupdate', { bubbles: true, data }));
+    replace(data);
+    el.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertCompositionText', data, isComposing: true }));
+    composed = data;
+  }
+  el.dispatchEvent(new CompositionEvent('compositionend', { bubbles: true, data: composed }));
+  // Firefox's closing input; frameworks that skip input while composing commit on it or on compositionend
+  el.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertCompositionText', data: composed, isComposing: false }));
+}
+
+/**
+ * Inserts text the way an IME commits it: each line is one composition
+ * session (compositionstart, compositionupdate + input with isComposing per
+ * character, compositionend), with line breaks between sessions. Composers
+ * that only accept text committed by compositionend (common with CJK input)
+ * pick it up. Verification tolerates NFC/NFD differences.
+ *
+ * @param {HTMLElement} input - The input, textarea, or contenteditable element.
+ * @param {string} text
+ * @returns {{ success: boolean, method: string }}
+ */
+export function composeText(input, text) {
+  if (!input) return { success: false, method: 'none' };
+  try {
+    input.focus();
+    clearForTyping(input);
+    // Compose inside the last paragraph, not after it
+    const last = isContentEditableEl(input) ? input.lastElementChild : null;
+    placeCaretAtEnd(last && BLOCK_TAGS.has(last.tagName) ? last : input);
+
+    text.replace(/\r\n?/g, '\n').split('\n').forEach((line, i) => {
+      if (i > 0) {
+        const init = keyInit('\n');
+        if (input.dispatchEvent(keyEvent('keydown', init))) insertAtCaret(input, '\n', 'insertLineBreak');
+        input.dispatchEvent(keyEvent('keyup', init));
+      }
+      if (line) composeSegment(input, line);
+    });
+  } catch (e) {
+    return { success: false, method: 'composition' };
+  }
+  return { success: textMatches(input, text), method: 'composition' };
+}
+
+// ============================================
+// NON-DESTRUCTIVE PROBE
+// ============================================
+
+function snapshotSelection(el) {
+  if (!isContentEditableEl(el)) {
+    return { start: el.selectionStart, end: el.selectionEnd, direction: el.selectionDirection };
+  }
+  const sel = window.getSelection();
+  return { ranges: sel.rangeCount ? [sel.getRangeAt(0).cloneRange()] : [] };
+}
+
+function restoreSelection(el, snap) {
+  if (!isContentEditableEl(el)) {
+    if (snap.start == null) return;
+    try { el.setSelectionRange(snap.start, snap.end, snap.direction || 'none'); } catch (e) {}
+    return;
+  }
+  const sel = window.getSelection();
+  sel.removeAllRanges();
+  snap.ranges.filter(r => r.startContainer.isConnected).forEach(r => sel.addRange(r));
+}
+
+// Append the probe at the end of a contenteditable the way typing would; returns the strategy used
+function appendProbe(el, probe) {
+  const last = el.lastElementChild;
+  placeCaretAtEnd(last && BLOCK_TAGS.has(last.tagName) ? last : el);
+  if (tryExecCommand('insertText', probe) && el.textContent.includes(probe)) return 'execCommand';
+
+  const beforeInput = new InputEvent('beforeinput', { bubbles: true, cancelable: true, inputType: 'insertText', data: probe });
+  el.dispatchEvent(beforeInput);
+  if (el.textContent.includes(probe)) return 'beforeInput';
+  if (beforeInput.defaultPrevented) return null;
+
+  const sel = window.getSelection();
+  const range = sel.getRangeAt(0);
+  range.insertNode(document.createTextNode(probe));
+  el.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: probe }));
+  return 'directDOM';
+}
+
+// Remove the probe through the strategy that wrote it, then by hand if that left it behind
+function removeProbe(el, probe, method) {
+  if (method === 'execCommand') {
+    tryExecCommand('delete', null);
+  } else if (method === 'beforeInput') {
+    el.dispatchEvent(new InputEvent('beforeinput', { bubbles: true, cancelable: true, inputType: 'deleteContentBackward' }));
+  }
+  if (!el.textContent.includes(probe)) return;
+
+  const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+  let last = null;
+  while (walker.nextNode()) {
+    if (walker.currentNode.data.includes(probe)) last = walker.currentNode;
+  }
+  if (last) {
+    const at = last.data.lastIndexOf(probe);
+    last.deleteData(at, probe.length);
+    if (!last.data) last.remove();
+    el.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'deleteContentBackward' }));
+  }
+}
+
+// Mutations outside `el` that didn't revert: an attribute toggled back counts as none
+function lastingSideEffects(records, el) {
+  // Nodes the probe added to or removed from `el` are detached by now but were still inside it
+  const moved = [];
+  for (const r of records) {
+    if (el.contains(r.target)) moved.push(...r.addedNodes, ...r.removedNodes);
+  }
+  const inside = (node) => el.contains(node) || moved.some(n => n.contains(node));
+  const outside = records.filter(r => !inside(r.target));
+  const attributes = new Map();
+  let lasting = 0;
+  for (const r of outside) {
+    if (r.type !== 'attributes') {
+      lasting++;
+      continue;
+    }
+    const seen = attributes.get(r.target) || new Map();
+    if (!seen.has(r.attributeName)) seen.set(r.attributeName, r.oldValue);
+    attributes.set(r.target, seen);
+  }
+  for (const [target, seen] of attributes) {
+    for (const [name, oldValue] of seen) {
+      if (target.getAttribute(name) !== oldValue) lasting++;
+    }
+  }
+  return lasting;
+}
+
+// Write a native field's value through the prototype setter alone: no focus, no events, so no page handler runs
+function setValueSilently(el, value) {
+  const proto = el.tagName === 'TEXTAREA' ? HTMLTextAreaElement.prototype : HTMLInputElement.prototype;
+  const setter = Object.getOwnPropertyDescriptor(proto, 'value')?.set;
+  if (setter) setter.call(el, value);
+  else el.value = value;
+}
+
+/**
+ * Checks that text written to an input actually lands, without losing what
+ * was there. The probe is appended to the current content (a draft stays
+ * put), removed, and the content, selection and focus are restored and
+ * compared with a snapshot.
+ *
+ * Native inputs and textareas are written with the value setter alone, so
+ * the page sees no focus or input events. Contenteditables need a real
+ * edit (execCommand, beforeinput or a DOM insert, each firing input events),
+ * removed through the strategy that wrote it.
+ *
+ * DOM changes outside the input that outlast the probe (a "typing..."
+ * indicator, a toast) are counted; changes a site makes later, e.g. autosave
+ * requests, can't be seen synchronously. Only a probe that dispatched no
+ * events, was restored and left no DOM changes is side-effect-free.
+ *
+ * @param {HTMLElement} el - The input, textarea, or contenteditable element.
+ * @param {string} [probe='\u200B'] - Text to write; a zero-width space by default.
+ * @returns {{ landed: boolean, method: string|null, restored: boolean, sideEffects: number, eventsDispatched: boolean, sideEffectFree: boolean }}
+ */
+export function probeText(el, probe = '\u200B') {
+  const editable = isContentEditableEl(el);
+  const before = editable ? el.innerHTML : el.value;
+  const selection = snapshotSelection(el);
+  const focused = document.activeElement;
+
+  const observer = new MutationObserver(() => {});
+  observer.observe(document.body, { subtree: true, childList: true, characterData: true, attributes: true, attributeOldValue: true });
+
+  let method = null;
+  let landed = false;
+  try {
+    if (editable) {
+      el.focus();
+      method = appendProbe(el, probe);
+      landed = !!method && el.textContent.includes(probe);
+      if (method) removeProbe(el, probe, method);
+    } else {
+      method = 'silentSetter';
+      setValueSilently(el, before + probe);
+      landed = el.value.includes(probe);
+      setValueSilently(el, before);
+    }
+  } catch (e) {}
+
+  restoreSelection(el, selection);
+  if (document.activeElement !== focused) {
+    if (focused && focused !== el && focused.focus) focused.focus();
+    else if (!focused || focused === document.body) el.blur?.();
+  }
+
+  // Editors may re-render equivalent markup; the text is what must survive
+  const restored = editable
+    ? el.innerHTML === before || el.textContent.normalize('NFC') === textFromHTML(before)
+    : el.value === before;
+  const sideEffects = lastingSideEffects(observer.takeRecords(), el);
+  observer.disconnect();
+  const eventsDispatched = editable;
+  return { landed, method, restored, sideEffects, eventsDispatched, sideEffectFree: restored && sideEffects === 0 && !eventsDispatched };
+}
+
+function textFromHTML(html) {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  return template.content.textContent.normalize('NFC');
+}
+
+// Where a composer's send button lives, nearest first
+function submitSearchRoots(input) {
+  return [
     input?.closest('form'),
     input?.closest('[class*="chat"]'),
     input?.closest('[class*="composer"]'),
@@ -169,7 +719,21 @@ export function findSubmitButton(input) {
     input?.parentElement?.parentElement?.parentElement,
     document.body
   ].filter(Boolean);
+}
 
+// getClientRects, not offsetParent: send buttons in fixed-position composers have no offsetParent
+function isClickable(btn) {
+  return !!btn && !btn.disabled && btn.getAttribute('aria-disabled') !== 'true' && btn.getClientRects().length > 0;
+}
+
+/**
+ * Searches for a submit button near the given input element.
+ * Checks several ancestor containers and tries multiple button selectors.
+ *
+ * @param {HTMLElement} input - The input element to search near.
+ * @returns {HTMLElement|null} The submit button element, or null if not found.
+ */
+export function findSubmitButton(input) {
   const selectors = [
     'button[type="submit"]',
     'button[aria-label*="send" i]',
@@ -179,7 +743,7 @@ export function findSubmitButton(input) {
     '[role="button"][aria-label*="send" i]'
   ];
 
-  for (const root of searchRoots) {
+  for (const root of submitSearchRoots(input)) {
     for (const selector of selectors) {
       try {
         const btn = root.querySelector(selector);
@@ -193,48 +757,152 @@ export function findSubmitButton(input) {
   return null;
 }
 
+// ============================================
+// SUBMIT METHODS
+// ============================================
+
 /**
- * Submits the input by trying several strategies in order:
- * 1. Click a nearby submit button
- * 2. form.requestSubmit()
- * 3. form.submit()
- * 4. Dispatch an Enter keydown event
+ * A submit method is a plain object, so a verified one can be stored in a
+ * signature and replayed on a later visit:
+ *   { type: 'button', selector }  - click the send button; `selector` is built from its
+ *                                   stable attributes (null: whatever findSubmitButton finds)
+ *   { type: 'requestSubmit' }     - form.requestSubmit() (form.submit() without it)
+ *   { type: 'enter' }             - Enter keydown on the input
+ *   { type: 'ctrlEnter' }         - Ctrl+Enter, for composers where Enter adds a line
+ */
+
+/**
+ * A selector for a send button that survives re-renders: id, data-testid,
+ * aria-label or type=submit, whichever it has first. Generated-looking ids
+ * are skipped.
+ *
+ * @param {HTMLElement} btn
+ * @returns {string|null}
+ */
+export function submitButtonSelector(btn) {
+  if (!btn) return null;
+  const tag = btn.tagName.toLowerCase();
+  const quote = (value) => `"${value.replace(/["\\]/g, '\\$&')}"`;
+  if (btn.id && !/\d{3,}|[:]/.test(btn.id)) return `${tag}[id=${quote(btn.id)}]`;
+  const testId = btn.getAttribute('data-testid');
+  if (testId) return `${tag}[data-testid=${quote(testId)}]`;
+  const label = btn.getAttribute('aria-label');
+  if (label) return `${tag}[aria-label=${quote(label)}]`;
+  if (btn.getAttribute('type') === 'submit') return `${tag}[type="submit"]`;
+  return null;
+}
+
+/**
+ * The submit methods that apply to an input, in the order submitInput tries them.
+ *
+ * @param {HTMLElement} input
+ * @returns {Array<object>}
+ */
+export function submitMethods(input) {
+  const methods = [];
+  const btn = findSubmitButton(input);
+  if (isClickable(btn)) methods.push({ type: 'button', selector: submitButtonSelector(btn) });
+  if (input?.closest('form')) methods.push({ type: 'requestSubmit' });
+  methods.push({ type: 'enter' }, { type: 'ctrlEnter' });
+  return methods;
+}
+
+/**
+ * Whether two submit methods are the same strategy.
+ *
+ * @param {object} a
+ * @param {object} b
+ * @returns {boolean}
+ */
+export function sameSubmitMethod(a, b) {
+  return !!a && !!b && a.type === b.type && (a.selector ?? null) === (b.selector ?? null);
+}
+
+function findButtonBySelector(input, selector) {
+  if (!selector) return findSubmitButton(input);
+  for (const root of submitSearchRoots(input)) {
+    try {
+      const btn = [...root.querySelectorAll(selector)].find(isClickable);
+      if (btn) return btn;
+    } catch (e) {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Perform one submit method.
  *
  * @param {HTMLElement} input - The input element to submit.
+ * @param {object} method - A submit method (see above).
  * @param {function} [log] - Optional logging function with signature (type, msg).
- * @returns {string} The method used: 'button', 'form', or 'enter'.
+ * @returns {boolean} False if the method doesn't apply here (no such button or form).
  */
-export function submitInput(input, log) {
+export function runSubmitMethod(input, method, log) {
   const logFn = log || (() => {});
-  const form = input?.closest('form');
-  const btn = findSubmitButton(input);
 
-  if (btn && !btn.disabled) {
+  if (method.type === 'button') {
+    const btn = findButtonBySelector(input, method.selector);
+    if (!btn) return false;
     logFn('info', `Clicking button: ${btn.textContent?.slice(0, 20) || btn.ariaLabel || 'submit'}`);
     btn.click();
-    return 'button';
+    return true;
   }
 
-  if (form?.requestSubmit) {
-    logFn('info', 'Using form.requestSubmit()');
-    form.requestSubmit();
-    return 'form';
+  if (method.type === 'requestSubmit') {
+    const form = input?.closest('form');
+    if (!form) return false;
+    if (form.requestSubmit) {
+      logFn('info', 'Using form.requestSubmit()');
+      form.requestSubmit();
+    } else {
+      logFn('info', 'Using form.submit()');
+      form.submit();
+    }
+    return true;
   }
 
-  if (form) {
-    logFn('info', 'Using form.submit()');
-    form.submit();
-    return 'form';
+  if (method.type === 'enter' || method.type === 'ctrlEnter') {
+    const ctrlKey = method.type === 'ctrlEnter';
+    logFn('info', `Sending ${ctrlKey ? 'Ctrl+Enter' : 'Enter'} key`);
+    input?.dispatchEvent(new KeyboardEvent('keydown', {
+      key: 'Enter',
+      code: 'Enter',
+      keyCode: 13,
+      which: 13,
+      ctrlKey,
+      bubbles: true,
+      cancelable: true
+    }));
+    return true;
   }
 
-  logFn('info', 'Sending Enter key');
-  input?.dispatchEvent(new KeyboardEvent('keydown', {
-    key: 'Enter',
-    code: 'Enter',
-    keyCode: 13,
-    which: 13,
-    bubbles: true,
-    cancelable: true
-  }));
-  return 'enter';
+  return false;
+}
+
+/**
+ * The name submitInput and chatSend report a method by: 'button', 'form',
+ * 'enter' or 'ctrlEnter'.
+ *
+ * @param {object} method - A submit method.
+ * @returns {string}
+ */
+export function submitMethodName(method) {
+  return method.type === 'requestSubmit' ? 'form' : method.type;
+}
+
+/**
+ * Submits the input with the first method that applies:
+ * 1. Click a nearby submit button
+ * 2. form.requestSubmit() (or form.submit())
+ * 3. Dispatch an Enter keydown event
+ *
+ * @param {HTMLElement} input - The input element to submit.
+ * @param {function} [log] - Optional logging function with signature (type, msg).
+ * @returns {string} The method used: 'button', 'form', or 'enter'.
+ */
+export function submitInput(input, log) {
+  const method = submitMethods(input).find(m => runSubmitMethod(input, m, log));
+  return submitMethodName(method);
 }
@@ -0,0 +1,512 @@
+/**
+ * MarkdownSerializer - Converts a rendered message subtree back into
+ * GitHub-flavored Markdown, or into a small mdast-like JSON AST.
+ *
+ * innerText flattens everything the model wrote in Markdown. This walks the
+ * DOM instead and recognizes the renderers chat UIs commonly use:
+ *  - Code blocks: <pre><code>, highlight.js / Prism / Shiki classes, toolbar
+ *    headers that carry the language name ("python  Copy code")
+ *  - Math: KaTeX (TeX annotation), MathJax 2 (script[type="math/tex"]),
+ *    MathJax 3 (mjx-container), MathML, data-latex attributes
+ *  - Tables, nested/ordered/task lists, links, images, headings, quotes
+ *
+ * AST node types: root, paragraph, heading, code, math, list, listItem,
+ * blockquote, table, tableRow, tableCell, thematicBreak, text, strong,
+ * emphasis, delete, inlineCode, inlineMath, link, image, break.
+ */
+
+const SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'BUTTON', 'SVG', 'INPUT', 'SELECT', 'TEXTAREA', 'CANVAS']);
+const HEADING_TAGS = new Set(['H1', 'H2', 'H3', 'H4', 'H5', 'H6']);
+const CONTAINER_TAGS = new Set(['DIV', 'SECTION', 'ARTICLE', 'MAIN', 'HEADER', 'FOOTER', 'ASIDE', 'FIGURE',
+                                'FIGCAPTION', 'DETAILS', 'SUMMARY', 'DL', 'DT', 'DD', 'NAV', 'CENTER', 'LI']);
+const CONTENT_TAGS = new Set(['P', 'UL', 'OL', 'TABLE', 'BLOCKQUOTE', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6']);
+
+// Toolbar words that sit next to the language label in code block headers
+const CODE_CHROME_WORDS = /\b(copy( code)?|copied!?|edit|run|download|wrap|collapse|expand)\b/gi;
+const LINE_NUMBER_SELECTOR = '.line-numbers-rows, .hljs-ln-numbers, [class*="linenumber"], [class*="line-number"]';
+
+// ============================================
+// DOM → AST
+// ============================================
+
+/**
+ * Detect a math element and whether it is displayed as a block.
+ *
+ * @param {Element} el
+ * @returns {{ display: boolean }|null}
+ */
+function mathInfo(el) {
+  const cls = el.classList;
+  if (cls?.contains('katex-display') || cls?.contains('math-display') || cls?.contains('math-block')) return { display: true };
+  if (cls?.contains('katex') || cls?.contains('math-inline')) return { display: false };
+
+  const tag = el.tagName.toUpperCase();
+  if (tag === 'MJX-CONTAINER') {
+    const display = el.getAttribute('display');
+    return { display: display !== null && display !== 'false' };
+  }
+  if (tag === 'SCRIPT' && /^math\/tex/i.test(el.type || '')) return { display: /mode=display/i.test(el.type) };
+  if (tag === 'MATH') return { display: el.getAttribute('display') === 'block' };
+  if (el.hasAttribute('data-latex') || el.hasAttribute('data-tex')) return { display: tag === 'DIV' || tag === 'P' };
+  return null;
+}
+
+/**
+ * Recover the TeX source of a rendered math element.
+ *
+ * @param {Element} el
+ * @returns {string}
+ */
+function texSource(el) {
+  const annotation = el.querySelector?.('annotation[encoding="application/x-tex"], annotation[encoding="TeX"]');
+  if (annotation) return annotation.textContent.trim();
+
+  for (const node of [el, el.querySelector?.('[data-latex], [data-tex]')].filter(Boolean)) {
+    const tex = node.getAttribute('data-latex') || node.getAttribute('data-tex');
+    if (tex) return tex.trim();
+  }
+
+  if (el.tagName.toUpperCase() === 'SCRIPT') return el.textContent.trim();
+  return (el.getAttribute('aria-label') || el.textContent || '').trim();
+}
+
+function isRenderedMathJaxOutput(el) {
+  return [...(el.classList || [])].some(c => /^MathJax/.test(c)) || el.tagName.toUpperCase() === 'MJX-ASSISTIVE-MML';
+}
+
+function shouldSkip(el, ctx) {
+  if (ctx.skip.has(el)) return true;
+  if (SKIP_TAGS.has(el.tagName.toUpperCase())) return !mathInfo(el);
+  if (el.hidden || el.getAttribute('aria-hidden') === 'true') return true;
+  if (isRenderedMathJaxOutput(el)) return true;
+  return false;
+}
+
+// Text of an element with a space between text nodes ("python" + "Copy code")
+function textWords(el) {
+  const words = [];
+  const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    const t = walker.currentNode.textContent.trim();
+    if (t) words.push(t);
+  }
+  return words.join(' ');
+}
+
+const CONTROL_SELECTOR = 'button, [role="button"], [aria-label*="copy" i], [data-testid*="copy" i]';
+const LANG_HINT = /lang|language|header|toolbar|title/i;
+
+// Text outside buttons and other controls
+function textOutsideControls(el) {
+  const clone = el.cloneNode(true);
+  clone.querySelectorAll(CONTROL_SELECTOR).forEach(c => c.remove());
+  return textWords(clone);
+}
+
+/**
+ * Whether an element next to a code block is its toolbar rather than answer
+ * text: only controls (copy, edit, run), a language label ("python"), or
+ * both. "Sure:" or "Output:" in a plain <div> is content.
+ *
+ * @param {Element} el
+ * @returns {{ chrome: boolean, label: string|null }}
+ */
+function toolbarInfo(el) {
+  if (el.tagName === 'PRE' || el.querySelector('pre') || CONTENT_TAGS.has(el.tagName)) return { chrome: false, label: null };
+  const hasControls = el.matches(CONTROL_SELECTOR) || !!el.querySelector(CONTROL_SELECTOR);
+  const rest = textOutsideControls(el).replace(CODE_CHROME_WORDS, '').trim();
+  // Only controls, icons or words like "Copy code"
+  if (!rest) return { chrome: true, label: null };
+  if (!/^[\w+#.-]{1,24}$/.test(rest)) return { chrome: false, label: null };
+  // A lone word is a language label if it sits in a header with controls, is marked as one, or is lowercase ("python")
+  const hints = `${el.className?.toString?.() || ''} ${el.getAttribute('data-testid') || ''}`;
+  const isLabel = hasControls || LANG_HINT.test(hints) || rest === rest.toLowerCase();
+  return { chrome: isLabel, label: isLabel ? rest.toLowerCase() : null };
+}
+
+/**
+ * Find the language label and toolbar elements around a <pre>. Chat UIs wrap
+ * code blocks in a header ("python", "Copy code") that must not leak into
+ * the output as a stray paragraph. Climbing stops at the first level with a
+ * sibling that isn't toolbar-like.
+ *
+ * @param {Element} pre
+ * @param {Element} root - Don't climb past the message root.
+ * @returns {{ lang: string|null, chrome: Array<Element> }}
+ */
+function codeBlockChrome(pre, root) {
+  const chrome = [];
+  let lang = null;
+  let wrap = pre;
+
+  for (let i = 0; i < 3 && wrap !== root && wrap.parentElement; i++) {
+    const parent = wrap.parentElement;
+    const siblings = [...parent.children].filter(c => c !== wrap);
+    const infos = siblings.map(toolbarInfo);
+    if (infos.some(info => !info.chrome)) break;
+
+    chrome.push(...siblings);
+    if (!lang) lang = infos.find(info => info.label)?.label || null;
+
+    if (parent === root) break;
+    wrap = parent;
+  }
+
+  return { lang, chrome };
+}
+
+function codeLanguage(pre, code) {
+  for (const node of [code, pre]) {
+    const cls = node.className?.toString?.() || '';
+    const m = cls.match(/(?:^|\s)(?:language|lang)-([\w+#.-]+)/);
+    if (m) return m[1].toLowerCase();
+    const attr = node.getAttribute('data-language') || node.getAttribute('data-lang');
+    if (attr) return attr.toLowerCase();
+  }
+
+  // highlight.js without the language- prefix: class="hljs python"
+  const tokens = (code.className?.toString?.() || '').split(/\s+/);
+  if (tokens.includes('hljs')) {
+    const lang = tokens.find(t => t && t !== 'hljs' && !t.startsWith('hljs-'));
+    if (lang) return lang.toLowerCase();
+  }
+  return null;
+}
+
+function codeText(code) {
+  // Renderers that draw one element per line without newline characters
+  const lines = code.querySelectorAll('.hljs-ln-code, .cm-line, .token-line, :scope > div');
+  if (lines.length > 1 && !code.textContent.includes('\n')) {
+    return [...lines].map(l => l.textContent).join('\n');
+  }
+
+  if (!code.querySelector(LINE_NUMBER_SELECTOR)) return code.textContent;
+  const clone = code.cloneNode(true);
+  clone.querySelectorAll(LINE_NUMBER_SELECTOR).forEach(n => n.remove());
+  return clone.textContent;
+}
+
+function codeNode(pre, ctx) {
+  const code = pre.querySelector('code') || pre;
+  const lang = codeLanguage(pre, code) || ctx.codeLangs.get(pre) || null;
+  return { type: 'code', lang, value: codeText(code).replace(/\n$/, '') };
+}
+
+function cellAlign(cell) {
+  const align = (cell.getAttribute('align') || cell.style?.textAlign || '').toLowerCase();
+  return ['left', 'center', 'right'].includes(align) ? align : null;
+}
+
+function tableNode(table, ctx) {
+  const rows = [...table.querySelectorAll(':scope > thead > tr, :scope > tbody > tr, :scope > tr, :scope > tfoot > tr')];
+  const children = rows.map(row => ({
+    type: 'tableRow',
+    children: [...row.children]
+      .filter(c => c.tagName === 'TH' || c.tagName === 'TD')
+      .map(cell => ({ type: 'tableCell', children: trimInline(inlineChildren(cell, ctx)) }))
+  }));
+  const header = rows[0] ? [...rows[0].children].filter(c => c.tagName === 'TH' || c.tagName === 'TD') : [];
+  return { type: 'table', align: header.map(cellAlign), children };
+}
+
+function listNode(list, ctx) {
+  const ordered = list.tagName === 'OL';
+  const items = [...list.children].filter(c => c.tagName === 'LI').map(li => {
+    const box = li.querySelector(':scope > input[type="checkbox"], :scope > p > input[type="checkbox"]');
+    return { type: 'listItem', checked: box ? box.checked : null, children: blockChildren(li, ctx) };
+  });
+  const node = { type: 'list', ordered, children: items };
+  if (ordered) node.start = parseInt(list.getAttribute('start'), 10) || 1;
+  return node;
+}
+
+/**
+ * Convert an element to block nodes, or return null if it is inline content.
+ *
+ * @param {Element} el
+ * @param {object} ctx
+ * @returns {Array<object>|null}
+ */
+function blockNodes(el, ctx) {
+  const math = mathInfo(el);
+  if (math) return math.display ? [{ type: 'math', value: texSource(el) }] : null;
+
+  const tag = el.tagName.toUpperCase();
+  const role = el.getAttribute('role');
+
+  if (tag === 'PRE') return [codeNode(el, ctx)];
+  if (HEADING_TAGS.has(tag) || role === 'heading') {
+    const depth = HEADING_TAGS.has(tag) ? Number(tag[1]) : (parseInt(el.getAttribute('aria-level'), 10) || 2);
+    return [{ type: 'heading', depth, children: trimInline(inlineChildren(el, ctx)) }];
+  }
+  if (tag === 'P') {
+    const children = trimInline(inlineChildren(el, ctx));
+    return children.length ? [{ type: 'paragraph', children }] : [];
+  }
+  if (tag === 'UL' || tag === 'OL') return [listNode(el, ctx)];
+  if (tag === 'BLOCKQUOTE') return [{ type: 'blockquote', children: blockChildren(el, ctx) }];
+  if (tag === 'TABLE') return [tableNode(el, ctx)];
+  if (tag === 'HR') return [{ type: 'thematicBreak' }];
+  if (CONTAINER_TAGS.has(tag)) return blockChildren(el, ctx);
+  return null;
+}
+
+/**
+ * Convert the children of an element to block nodes, wrapping runs of inline
+ * content into paragraphs.
+ *
+ * @param {Element} parent
+ * @param {object} ctx
+ * @returns {Array<object>}
+ */
+function blockChildren(parent, ctx) {
+  const out = [];
+  let inline = [];
+
+  const flush = () => {
+    const children = trimInline(inline);
+    if (children.length) out.push({ type: 'paragraph', children });
+    inline = [];
+  };
+
+  for (const node of parent.childNodes) {
+    if (node.nodeType === 3) {
+      inline.push({ type: 'text', value: node.textContent });
+      continue;
+    }
+    if (node.nodeType !== 1 || shouldSkip(node, ctx)) continue;
+
+    const blocks = blockNodes(node, ctx);
+    if (blocks) {
+      flush();
+      out.push(...blocks);
+    } else {
+      inline.push(...inlineNodes(node, ctx));
+    }
+  }
+  flush();
+  return out;
+}
+
+function inlineChildren(el, ctx) {
+  const out = [];
+  for (const node of el.childNodes) {
+    if (node.nodeType === 3) out.push({ type: 'text', value: node.textContent });
+    else if (node.nodeType === 1 && !shouldSkip(node, ctx)) out.push(...inlineNodes(node, ctx));
+  }
+  return out;
+}
+
+/**
+ * Convert an element to inline nodes. Unknown elements are transparent.
+ *
+ * @param {Element} el
+ * @param {object} ctx
+ * @returns {Array<object>}
+ */
+function inlineNodes(el, ctx) {
+  const math = mathInfo(el);
+  if (math) return [{ type: 'inlineMath', display: math.display, value: texSource(el) }];
+
+  const tag = el.tagName.toUpperCase();
+  const wrap = (type) => {
+    const children = inlineChildren(el, ctx);
+    return children.length ? [{ type, children }] : [];
+  };
+
+  switch (tag) {
+    case 'BR': return [{ type: 'break' }];
+    case 'STRONG': case 'B': return wrap('strong');
+    case 'EM': case 'I': return wrap('emphasis');
+    case 'DEL': case 'S': case 'STRIKE': return wrap('delete');
+    case 'CODE': case 'KBD': case 'SAMP': return [{ type: 'inlineCode', value: el.textContent }];
+    case 'IMG': return [{ type: 'image', url: el.src || el.getAttribute('src') || '', alt: el.alt || '' }];
+    case 'A': {
+      const url = el.href || el.getAttribute('href') || '';
+      const children = inlineChildren(el, ctx);
+      if (!url || /^javascript:/i.test(url)) return children;
+      return [{ type: 'link', url, children }];
+    }
+    default:
+      // Block elements nested in inline context (e.g. <p> inside a table cell)
+      if (CONTAINER_TAGS.has(tag) || CONTENT_TAGS.has(tag)) {
+        return [{ type: 'text', value: ' ' }, ...inlineChildren(el, ctx), { type: 'text', value: ' ' }];
+      }
+      return inlineChildren(el, ctx);
+  }
+}
+
+/**
+ * Collapse HTML whitespace in text nodes, merge neighbours, and trim the
+ * edges of an inline run.
+ *
+ * @param {Array<object>} nodes
+ * @returns {Array<object>}
+ */
+function trimInline(nodes) {
+  const out = [];
+  let trailingSpace = true;
+
+  for (const node of nodes) {
+    if (node.type !== 'text') {
+      if (node.type === 'break') trailingSpace = true;
+      else trailingSpace = false;
+      out.push(node);
+      continue;
+    }
+    let value = node.value.replace(/\s+/g, ' ');
+    if (trailingSpace) value = value.replace(/^ /, '');
+    if (!value) continue;
+    trailingSpace = value.endsWith(' ');
+
+    const prev = out[out.length - 1];
+    if (prev?.type === 'text') prev.value += value;
+    else out.push({ type: 'text', value });
+  }
+
+  const last = out[out.length - 1];
+  if (last?.type === 'text') {
+    last.value = last.value.replace(/ $/, '');
+    if (!last.value) out.pop();
+  }
+  while (out[out.length - 1]?.type === 'break') out.pop();
+  return out;
+}
+
+/**
+ * Build a Markdown AST from a rendered message subtree.
+ *
+ * @param {HTMLElement} el - The message element.
+ * @param {object} [options]
+ * @param {Array<Element>} [options.skip] - Subtrees to leave out (e.g. reasoning blocks).
+ * @returns {{ type: 'root', children: Array<object> }}
+ */
+export function toMarkdownAST(el, options = {}) {
+  if (!el) return { type: 'root', children: [] };
+
+  const ctx = { skip: new Set(options.skip || []), codeLangs: new Map() };
+  for (const pre of el.querySelectorAll('pre')) {
+    const { lang, chrome } = codeBlockChrome(pre, el);
+    chrome.forEach(c => ctx.skip.add(c));
+    if (lang) ctx.codeLangs.set(pre, lang);
+  }
+
+  const children = el.tagName === 'PRE' || mathInfo(el) ? (blockNodes(el, ctx) || []) : blockChildren(el, ctx);
+  return { type: 'root', children };
+}
+
+// ============================================
+// AST → MARKDOWN
+// ============================================
+
+function escapeText(value) {
+  return value
+    .replace(/([\\`*[\]])/g, '\\$1')
+    // Intraword underscores (snake_case) never start emphasis in GFM
+    .replace(/_/g, (m, i, str) => (/\w/.test(str[i - 1] || '') && /\w/.test(str[i + 1] || '') ? '_' : '\\_'));
+}
+
+function escapeLineStart(line) {
+  return line
+    .replace(/^(#{1,6}\s|>|[-+]\s)/, '\\$1')
+    .replace(/^(\d+)([.)]\s)/, '$1\\$2');
+}
+
+function fenceFor(value) {
+  const longest = Math.max(0, ...(value.match(/`+/g) || []).map(m => m.length));
+  return '`'.repeat(Math.max(3, longest + 1));
+}
+
+function renderInline(nodes) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text': return escapeText(node.value);
+      case 'strong': return `**${renderInline(node.children)}**`;
+      case 'emphasis': return `*${renderInline(node.children)}*`;
+      case 'delete': return `~~${renderInline(node.children)}~~`;
+      case 'break': return '  \n';
+      case 'inlineCode': {
+        const ticks = '`'.repeat(Math.max(1, ...(node.value.match(/`+/g) || []).map(m => m.length + 1)));
+        const pad = node.value.startsWith('`') || node.value.endsWith('`') ? ' ' : '';
+        return `${ticks}${pad}${node.value}${pad}${ticks}`;
+      }
+      case 'inlineMath': return node.display ? `$$${node.value}$$` : `$${node.value}$`;
+      case 'image': return `![${escapeText(node.alt)}](${node.url})`;
+      case 'link': {
+        const text = renderInline(node.children);
+        return `[${text || node.url}](${node.url})`;
+      }
+      default: return '';
+    }
+  }).join('');
+}
+
+function indent(text, prefix) {
+  return text.split('\n').map((line, i) => (i === 0 || !line ? line : prefix + line)).join('\n');
+}
+
+function renderTable(node) {
+  const rows = node.children.map(row =>
+    row.children.map(cell => renderInline(cell.children).replace(/\|/g, '\\|').replace(/\n/g, '<br>'))
+  );
+  if (rows.length === 0) return '';
+
+  const width = Math.max(...rows.map(r => r.length), node.align.length);
+  const pad = (r) => [...r, ...Array(width - r.length).fill('')];
+  const line = (cells) => `| ${pad(cells).join(' | ')} |`;
+  const delimiter = pad(node.align).map(a =>
+    a === 'center' ? ':---:' : a === 'right' ? '---:' : a === 'left' ? ':---' : '---'
+  );
+
+  return [line(rows[0]), `| ${delimiter.join(' | ')} |`, ...rows.slice(1).map(line)].join('\n');
+}
+
+function renderBlock(node) {
+  switch (node.type) {
+    case 'paragraph': return escapeLineStart(renderInline(node.children));
+    case 'heading': return `${'#'.repeat(node.depth)} ${renderInline(node.children)}`;
+    case 'code': {
+      const fence = fenceFor(node.value);
+      return `${fence}${node.lang || ''}\n${node.value}\n${fence}`;
+    }
+    case 'math': return `$$\n${node.value}\n$$`;
+    case 'thematicBreak': return '---';
+    case 'blockquote': return renderBlocks(node.children).split('\n').map(l => (l ? `> ${l}` : '>')).join('\n');
+    case 'table': return renderTable(node);
+    case 'list':
+      return node.children.map((item, i) => {
+        const marker = node.ordered ? `${node.start + i}. ` : '- ';
+        const box = item.checked === null || item.checked === undefined ? '' : (item.checked ? '[x] ' : '[ ] ');
+        const body = item.children
+          .map((child, j) => (j > 0 && child.type !== 'list' ? '\n' : '') + renderBlock(child))
+          .join('\n');
+        return marker + box + indent(body, ' '.repeat(marker.length));
+      }).join('\n');
+    default: return '';
+  }
+}
+
+function renderBlocks(nodes) {
+  return nodes.map(renderBlock).filter(Boolean).join('\n\n');
+}
+
+/**
+ * Render a Markdown AST (from toMarkdownAST) as GitHub-flavored Markdown.
+ *
+ * @param {{ type: 'root', children: Array<object> }} ast
+ * @returns {string}
+ */
+export function renderMarkdown(ast) {
+  return renderBlocks(ast?.children || []).trim();
+}
+
+/**
+ * Serialize a rendered message subtree as GitHub-flavored Markdown.
+ *
+ * @param {HTMLElement} el - The message element.
+ * @param {object} [options] - See toMarkdownAST.
+ * @returns {string}
+ */
+export function toMarkdown(el, options) {
+  return renderMarkdown(toMarkdownAST(el, options));
+}
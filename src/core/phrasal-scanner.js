@@ -2,9 +2,9 @@
  * PhrasalScanner - Heuristic text-based UI pattern detector.
  *
  * Scores DOM elements against predefined phrasal patterns to identify
- * common UI components (chat, form, login, search, dropdown, modal,
- * cookie consent, feed) based on text content, placeholders, ARIA
- * labels, and button text.
+ * common UI components (chat, conversation history, form, login, search,
+ * dropdown, modal, cookie consent, feed) based on text content, placeholders,
+ * ARIA labels, and button text.
  */
 
 export class PhrasalScanner {
@@ -17,6 +17,12 @@ export class PhrasalScanner {
         buttons: ['send', 'reply', 'post'],
         negative: ['email', 'subscribe', 'newsletter', 'search']
       },
+      history: {
+        strong: ['new chat', 'new conversation', 'chat history', 'recent chats', 'recents'],
+        medium: ['today', 'yesterday', 'previous 7 days', 'previous 30 days', 'history', 'conversations'],
+        buttons: ['new chat', 'new conversation'],
+        negative: ['cart', 'checkout', 'sign up']
+      },
       form: {
         strong: ['submit', 'sign up', 'register', 'create account', 'subscribe'],
         medium: ['email', 'password', 'username', 'name', 'phone', 'address'],
@@ -0,0 +1,158 @@
+/**
+ * ReasoningExtractor - Separates a model's reasoning ("thinking") from its
+ * final answer inside a rendered reply.
+ *
+ * Reasoning UIs share a few shapes:
+ *  - <details> whose <summary> reads "Thought for 12s", "Thinking", "Reasoning"
+ *  - a wrapper whose class, data-testid or aria-label names thinking/reasoning
+ *  - an aria-expanded toggle with such a label, controlling a panel (via
+ *    aria-controls or as the toggle's next sibling)
+ * Collapsed blocks are expanded before reading. A bare "Thought for Ns"
+ * header left in the answer text (Grok) is stripped.
+ */
+
+const REASONING_LABEL = /^\s*(thought for\b|thinking\b|thoughts\b|reasoning\b|reasoned\b|show (thinking|reasoning|thoughts))/i;
+const REASONING_HINT = /thinking|reasoning|thoughts?(?![a-z]*ful)|chain[\s_-]?of[\s_-]?thought/i;
+const THOUGHT_PREFIX = /^(thought|reasoned) for [0-9]+\s*(s|sec(ond)?s?|m(in(ute)?s?)?)\b[^\n]*\n+/i;
+const TOGGLE_SELECTOR = 'button[aria-expanded], [role="button"][aria-expanded], summary';
+// Menus, pickers and composers may say "reasoning" too (e.g. a "Thinking" model)
+const EXCLUDE_SELECTOR = 'button, a, label, [role="button"], [role="menu"], [role="listbox"], [role="option"], [role="menuitem"], [aria-haspopup], form';
+
+function textOf(el) {
+  // Collapsed panels have no innerText; their textContent is still the reasoning
+  return ((el.innerText || '').trim() || (el.textContent || '').trim());
+}
+
+function hintOf(el) {
+  const cls = typeof el.className === 'string' ? el.className : el.getAttribute('class') || '';
+  return `${cls} ${el.getAttribute('data-testid') || ''} ${el.getAttribute('aria-label') || ''}`;
+}
+
+function isReasoningToggle(toggle) {
+  if (toggle.tagName === 'SUMMARY' || toggle.hasAttribute('aria-haspopup')) return false;
+  return REASONING_LABEL.test(`${(toggle.textContent || '').trim()} ${toggle.getAttribute('aria-label') || ''}`.trim());
+}
+
+// The panel a reasoning toggle opens, plus the element that holds the toggle
+function toggleBlocks(toggle, root) {
+  const controlled = toggle.getAttribute('aria-controls');
+  const panel = controlled && document.getElementById(controlled);
+
+  // Climb out of single-child wrappers around the toggle
+  let head = toggle;
+  while (head.parentElement && head.parentElement !== root && head.parentElement.children.length === 1) {
+    head = head.parentElement;
+  }
+  // A wrapper holding just the toggle and its panel is the block
+  const wrapper = head.parentElement;
+  if (wrapper && wrapper !== root && wrapper.children.length === 2 && (!panel || wrapper.contains(panel))) {
+    return [wrapper];
+  }
+  const body = panel || head.nextElementSibling;
+  return body ? [head, body] : [head];
+}
+
+/**
+ * Find the reasoning blocks under `root`, outermost only, in document order.
+ *
+ * @param {HTMLElement} root - A reply, turn list, or the page body.
+ * @returns {Array<HTMLElement>}
+ */
+export function findReasoningBlocks(root) {
+  if (!root) return [];
+  const found = new Set();
+
+  for (const details of root.querySelectorAll('details')) {
+    const summary = details.querySelector(':scope > summary');
+    if (summary && REASONING_LABEL.test(summary.textContent || '')) found.add(details);
+  }
+
+  for (const toggle of root.querySelectorAll(TOGGLE_SELECTOR)) {
+    if (!isReasoningToggle(toggle)) continue;
+    toggleBlocks(toggle, root).forEach(el => found.add(el));
+  }
+
+  for (const el of root.querySelectorAll('[class], [data-testid], [aria-label]')) {
+    if (!REASONING_HINT.test(hintOf(el)) || el.closest(EXCLUDE_SELECTOR)) continue;
+    if (!(el.textContent || '').trim() || el.querySelector('textarea, input, [contenteditable="true"]')) continue;
+    found.add(el);
+  }
+
+  const blocks = [...found].filter(el => el !== root);
+  return blocks
+    .filter(el => !blocks.some(other => other !== el && other.contains(el)))
+    .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+}
+
+/**
+ * Open collapsed reasoning blocks: <details> get `open`, toggles reporting
+ * aria-expanded="false" are clicked. Content that renders on expand shows up
+ * on a later read.
+ *
+ * @param {HTMLElement} root
+ * @returns {number} How many blocks were expanded.
+ */
+export function expandReasoning(root) {
+  if (!root) return 0;
+  let expanded = 0;
+  for (const details of root.querySelectorAll('details:not([open])')) {
+    const summary = details.querySelector(':scope > summary');
+    if (summary && REASONING_LABEL.test(summary.textContent || '')) {
+      details.open = true;
+      expanded++;
+    }
+  }
+  for (const toggle of root.querySelectorAll('[aria-expanded="false"]')) {
+    if (!isReasoningToggle(toggle)) continue;
+    toggle.click();
+    expanded++;
+  }
+  return expanded;
+}
+
+// Reasoning text without its header ("Thought for 12s", "Thinking")
+function blockText(block) {
+  const header = block.tagName === 'DETAILS'
+    ? block.querySelector(':scope > summary')
+    : [block, ...block.querySelectorAll(TOGGLE_SELECTOR)].find(el => el.matches(TOGGLE_SELECTOR) && isReasoningToggle(el));
+  let text = textOf(block);
+  if (header) text = text.replace((header.textContent || '').trim(), '').trim();
+  const lines = text.split('\n');
+  if (lines.length > 1 && REASONING_LABEL.test(lines[0]) && lines[0].length < 60) {
+    text = lines.slice(1).join('\n').trim();
+  }
+  return text;
+}
+
+/**
+ * Strip a leading "Thought for Ns" header from answer text.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function stripThoughtPrefix(text) {
+  return text.replace(THOUGHT_PREFIX, '');
+}
+
+/**
+ * Split a rendered reply into its answer and its reasoning.
+ *
+ * @param {HTMLElement} el - The reply element.
+ * @param {object} [options]
+ * @param {Array<HTMLElement>} [options.blocks] - Reasoning blocks already found (defaults to findReasoningBlocks(el)).
+ * @returns {{ text: string, reasoning: string|null, blocks: Array<HTMLElement> }}
+ */
+export function splitReasoning(el, options = {}) {
+  if (!el) return { text: '', reasoning: null, blocks: [] };
+  const blocks = (options.blocks || findReasoningBlocks(el)).filter(b => b !== el && el.contains(b));
+
+  let text = (el.innerText ?? el.textContent ?? '').trim();
+  for (const block of blocks) {
+    const shown = (block.innerText ?? block.textContent ?? '').trim();
+    if (shown) text = text.replace(shown, '');
+  }
+  text = stripThoughtPrefix(text.replace(/\n{3,}/g, '\n\n').trim());
+
+  const parts = blocks.map(blockText).filter(Boolean);
+  return { text, reasoning: parts.length > 0 ? parts.join('\n\n') : null, blocks };
+}
@@ -5,7 +5,7 @@
  * A signature captures everything needed to re-identify and re-bind
  * a UI pattern on a future visit:
  *  - Structural: LSH fingerprint, element tag/attrs, container attributes
- *  - Behavioral: observed diff changes, send method results
+ *  - Behavioral: observed diff changes, send method results, verified submit method
  *  - Phrasal: placeholder patterns, aria-labels, button text
  *  - Site: hostname, pathname pattern
  *  - Framework: React/Vue/Angular/vanilla detection
@@ -145,6 +145,7 @@ export class SignatureStore {
    * @param {object} params.components - The bound components ({ container, input, ... })
    * @param {object} params.lshSignature - The LSH signature ({ fingerprint, features, minhash })
    * @param {object} [params.sendMethodResult] - Result from setText ({ method, success })
+   * @param {object} [params.submitMethod] - The submit method that verifiably sent ({ type, selector })
    * @param {object} [params.diffEvidence] - Diff changes observed during detection
    * @param {string} [params.path] - The element path
    * @returns {object} The captured signature.
@@ -155,6 +156,7 @@ export class SignatureStore {
       components,
       lshSignature,
       sendMethodResult,
+      submitMethod,
       diffEvidence,
       path
     } = params;
@@ -181,6 +183,7 @@ export class SignatureStore {
       behavioral: {
         sendMethod: sendMethodResult?.method || null,
         sendSuccess: sendMethodResult?.success || null,
+        submitMethod: submitMethod || null,
         diffEvidence: diffEvidence || null
       },
       framework: detectFramework(),
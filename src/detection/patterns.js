@@ -31,6 +31,23 @@ export const PATTERNS = {
     scanRepeatedChildren: true
   },
 
+  history: {
+    selectors: [
+      'nav',
+      'aside',
+      '[role="navigation"]',
+      '[class*="sidebar"]',
+      '[class*="history"]',
+      '[aria-label*="history" i]'
+    ],
+    rules: {
+      'repeated-links': 4,
+      'has-new-chat': 3,
+      scrollable: 1
+    },
+    scanRepeatedChildren: false
+  },
+
   form: {
     selectors: [
       'form',
@@ -15,9 +15,18 @@ import { extractLLMContext, generateCopyContext } from '../llm/context-extractor
 import { PatternVerifier } from '../llm/state-machine.js';
 import { fullHeapScan } from '../llm/heap-scanner.js';
 
-import { setText } from '../actions/text-input.js';
-import { chatSend, chatGetMessages, chatOnMessage } from '../actions/chat-api.js';
-import { formFill, formSubmit, formGetValues } from '../actions/form-api.js';
+import { setText, probeText } from '../actions/text-input.js';
+import { chatGetMessages, chatOnMessage } from '../actions/chat-api.js';
+import { chatStream, findStopButton } from '../actions/chat-stream.js';
+import { detectChatError } from '../actions/chat-errors.js';
+import { chatStop, chatRegenerate, chatEditMessage, findMessageControls } from '../actions/chat-controls.js';
+import { chatAttach } from '../actions/chat-attach.js';
+import { harvestTranscript, exportTranscript } from '../actions/chat-transcript.js';
+import { SendQueue } from '../actions/send-queue.js';
+import { findModelPicker, listModels, getCurrentModel, selectModel } from '../actions/chat-model.js';
+import { newConversation, listConversations, openConversation, findConversationLinks, findNewChatControl, MIN_CONVERSATION_LINKS } from '../actions/conversation-api.js';
+import { formFill, formFillWidgets, formSubmit, formGetValues, formDescribe } from '../actions/form-api.js';
+import { formWizardFill, formWizardState } from '../actions/form-wizard.js';
 import { dropdownToggle, dropdownSelect } from '../actions/dropdown-api.js';
 import { modalClose } from '../actions/modal-api.js';
 
@@ -37,10 +46,12 @@ export class UniversalController {
     this.frameRPC = isInIframe() ? null : new FrameRPCParent((type, msg) => this.log(type, msg));
     this.isChild = isInIframe();
     this.detected = new Map();
-    this.boundAPIs = new Map();
+    this.boundAPIs = new Map(); // pattern name → bound APIs, in bind order
     this.logCallbacks = [];
     this.lastDiff = null;
     this.autoBindEnabled = true;
+    this.probeMode = 'restore';
+    this.lastProbe = null;
 
     // Wire passive detector logging through our log system
     this.passive.onLog((type, msg) => this.log(type, msg));
@@ -271,7 +282,9 @@ export class UniversalController {
         'role-dialog': () => el.getAttribute('role') === 'dialog',
         'fixed-position': () => style.position === 'fixed',
         'has-close': () => !!el.querySelector('[class*="close"], button'),
-        'search-type': () => !!el.querySelector('input[type="search"]')
+        'search-type': () => !!el.querySelector('input[type="search"]'),
+        'repeated-links': () => findConversationLinks(el).length >= MIN_CONVERSATION_LINKS,
+        'has-new-chat': () => el.contains(findNewChatControl(el))
       };
       return checks[rule]?.() || false;
     } catch (e) {
@@ -282,6 +295,7 @@ export class UniversalController {
   checkSemantic(el, patternName) {
     const semantics = {
       chat: () => el.getAttribute('role') === 'log' || el.hasAttribute('aria-live'),
+      history: () => el.tagName === 'NAV' || el.getAttribute('role') === 'navigation',
       form: () => el.tagName === 'FORM' || el.getAttribute('role') === 'form',
       dropdown: () => !!el.querySelector('[aria-haspopup]') || el.hasAttribute('aria-haspopup'),
       modal: () => el.getAttribute('role') === 'dialog' || el.getAttribute('aria-modal') === 'true',
@@ -295,52 +309,93 @@ export class UniversalController {
 
   /**
    * Probe candidate input elements by writing a test string and verifying it appears.
-   * Returns the first candidate where setText succeeds, then cleans up.
+   * Returns the first candidate where the text lands.
    * This is the Cheat Engine paradigm: try → verify → iterate.
    *
+   * In 'restore' mode (the default) the probe is appended to whatever the
+   * input holds and content, selection and focus are put back (see probeText),
+   * so a draft survives. 'replace' mode overwrites the input and clears it
+   * afterwards. Every probed candidate is reported in this.lastProbe.
+   *
    * @param {Array<HTMLElement>} candidates
-   * @returns {{ input: HTMLElement, method: string }|null}
+   * @returns {{ input: HTMLElement, method: string, sideEffectFree: boolean }|null}
    */
   _probeInput(candidates) {
-    const probeText = `\u200B`; // zero-width space (invisible, minimal side-effects)
+    const mode = this.probeMode;
+    const probed = [];
+    this.lastProbe = { mode, at: Date.now(), candidates: probed };
 
     for (const c of candidates) {
       // Skip inert / aria-hidden / our own elements
       if (c.closest('[inert]') || c.closest('[aria-hidden="true"]') || this._isOwnElement(c)) continue;
 
-      // Snapshot the current value
-      const isContentEditable = c.contentEditable === 'true' && !('value' in c);
-      const before = isContentEditable ? c.textContent : c.value;
+      const result = mode === 'replace' ? this._probeByReplacing(c) : probeText(c);
+      probed.push({ el: c, path: this.getPath(c), ...result });
 
-      // Try setting probe text
-      const result = setText(c, probeText);
+      if (result.landed) {
+        const effects = result.sideEffectFree
+          ? 'side-effect-free'
+          : `restored: ${result.restored}, side effects: ${result.sideEffects}${result.eventsDispatched ? ', fired input events' : ''}`;
+        this.log('info', `Probed input: ${c.tagName}${c.getAttribute('data-testid') ? '[' + c.getAttribute('data-testid') + ']' : ''} (${result.method}, ${effects})`);
+        return { input: c, method: result.method, sideEffectFree: result.sideEffectFree };
+      }
+    }
 
-      // Check: did the text actually land?
-      const after = isContentEditable ? c.textContent : c.value;
-      const probeWorked = after?.includes(probeText);
+    return null;
+  }
 
-      // Clean up: restore original value
-      if (isContentEditable) {
-        // Clear via selectAll + delete for contenteditable
-        try {
-          c.focus();
-          document.execCommand('selectAll', false, null);
-          document.execCommand('delete', false, null);
-        } catch (e) {
-          c.textContent = '';
-        }
-        c.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'deleteContent' }));
-      } else {
-        setText(c, before || '');
-      }
+  /**
+   * The original probe: replace the content with a zero-width space, check
+   * it landed, then clear the input (contenteditable) or set the old value back.
+   *
+   * @param {HTMLElement} c
+   * @returns {{ landed: boolean, method: string, restored: boolean, sideEffects: null, eventsDispatched: boolean, sideEffectFree: boolean }}
+   */
+  _probeByReplacing(c) {
+    const probe = `\u200B`; // zero-width space (invisible, minimal side-effects)
+
+    // Snapshot the current value
+    const isContentEditable = c.contentEditable === 'true' && !('value' in c);
+    const before = isContentEditable ? c.textContent : c.value;
+
+    // Try setting probe text
+    const result = setText(c, probe);
 
-      if (probeWorked) {
-        this.log('info', `Probed input: ${c.tagName}${c.getAttribute('data-testid') ? '[' + c.getAttribute('data-testid') + ']' : ''} (${result.method})`);
-        return { input: c, method: result.method };
+    // Check: did the text actually land?
+    const after = isContentEditable ? c.textContent : c.value;
+    const probeWorked = !!after?.includes(probe);
+
+    // Clean up: restore original value
+    if (isContentEditable) {
+      // Clear via selectAll + delete for contenteditable
+      try {
+        c.focus();
+        document.execCommand('selectAll', false, null);
+        document.execCommand('delete', false, null);
+      } catch (e) {
+        c.textContent = '';
       }
+      c.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'deleteContent' }));
+    } else {
+      setText(c, before || '');
     }
 
-    return null;
+    const restored = (isContentEditable ? c.textContent : c.value) === before;
+    return { landed: probeWorked, method: result.method, restored, sideEffects: null, eventsDispatched: true, sideEffectFree: false };
+  }
+
+  /**
+   * Choose how _probeInput tests candidates: 'restore' (non-destructive) or 'replace'.
+   *
+   * @param {string} mode
+   */
+  setProbeMode(mode) {
+    if (!['restore', 'replace'].includes(mode)) {
+      this.log('error', `Unknown probe mode: ${mode}`);
+      return;
+    }
+    this.probeMode = mode;
+    this.log('info', `Probe mode: ${mode}`);
   }
 
   /**
@@ -414,8 +469,22 @@ export class UniversalController {
         }
 
         const sendButton = this._findChatSendButton(input, root);
-        return { container, input, sendButton };
+        const components = { container, input, sendButton };
+
+        // Stop and per-message controls render and vanish as the conversation
+        // moves, so they are looked up on each read
+        Object.defineProperties(components, {
+          stopButton: { get: () => findStopButton(components), enumerable: false },
+          messageControls: { get: () => findMessageControls(components), enumerable: false },
+          modelPicker: { get: () => findModelPicker(components), enumerable: false }
+        });
+        return components;
       },
+      history: () => ({
+        container: el,
+        newChatButton: findNewChatControl(el),
+        items: findConversationLinks(el)
+      }),
       form: () => ({
         container: el.tagName === 'FORM' ? el : el.querySelector('form') || el,
         fields: [...el.querySelectorAll('input,textarea,select')],
@@ -454,6 +523,11 @@ export class UniversalController {
         const hasContainer = container && container.children.length > 0;
         return (hasInput && hasContainer) ? 1 : (hasContainer ? 0.5 : 0);
       },
+      history: () => {
+        const { items, newChatButton } = components;
+        if (!items?.length) return 0;
+        return newChatButton ? 1 : 0.5;
+      },
       form: () => {
         const { fields } = components;
         return fields?.length > 0 ? 1 : 0;
@@ -489,7 +563,23 @@ export class UniversalController {
   // API BINDING
   // ============================================
 
-  bind(patternName, path) {
+  /**
+   * Bind an action API to a detected pattern instance. A pattern can hold
+   * several bindings (a support widget next to the main chat, arena panes).
+   * Binding the same path or name again replaces that binding in place; an
+   * unnamed bind replaces the default (first unnamed) binding, so rebinding
+   * after a re-render moves it. Others are added only with a name or `add`.
+   *
+   * @param {string} patternName
+   * @param {string} path - Path of a detected result (see detect()).
+   * @param {object} [options]
+   * @param {string} [options.name] - Name for UC[pattern].byName(name) and getAPI(pattern, name).
+   * @param {boolean} [options.add] - Add an unnamed binding instead of replacing the default one.
+   * @param {object} [options.replace] - A bound API to replace (used by api.rebind).
+   * @param {object} [options.submitMethod] - A verified submit method to replay (from a saved signature).
+   * @returns {object|null} The bound API.
+   */
+  bind(patternName, path, options = {}) {
     const detected = this.detected.get(path);
     if (!detected) {
       this.log('error', `No detected pattern at ${path}`);
@@ -497,51 +587,105 @@ export class UniversalController {
     }
 
     const { components, el } = detected;
-
-    // Unbind existing API for this pattern if exists
-    this.unbind(patternName);
+    const apis = this.boundAPIs.get(patternName) || [];
+    const existing = options.replace ||
+      apis.find(a => a.path === path) ||
+      (options.name ? apis.find(a => a.name === options.name) : null) ||
+      (!options.name && !options.add ? apis.find(a => a.name === null) : null);
 
     // Create a log helper that delegates to this.log bound to this instance
     const logFn = (type, msg) => this.log(type, msg);
 
+    // Sends go through a per-binding queue so concurrent callers don't type over a reply
+    const queue = new SendQueue(components, logFn);
+
+    // Replay the submit method that last verifiably sent, and keep it current for saveSignature
+    const recordSend = (result) => {
+      if (result?.setMethod) api.lastSend = { method: result.setMethod, success: result.success };
+      if (result?.submitVerified) api.submitMethod = result.submitMethod;
+      return result;
+    };
+
     const api = {
       pattern: patternName,
+      name: options.name ?? existing?.name ?? null,
       path,
       el,
       components,
-      send: (text) => chatSend(components, text, logFn),
-      getMessages: () => chatGetMessages(components),
-      onMessage: (cb) => chatOnMessage(components, cb),
+      queue,
+      submitMethod: options.submitMethod ?? existing?.submitMethod ?? null,
+      lastSend: null,
+      send: (text, options) => queue.send(text, { submitMethod: api.submitMethod, ...options }).then(recordSend),
+      sendAndWait: (text, options) => queue.sendAndWait(text, { submitMethod: api.submitMethod, ...options }).then(recordSend),
+      getMessages: (options) => chatGetMessages(components, options),
+      onMessage: (cb, options) => chatOnMessage(components, cb, options),
+      harvestTranscript: (options) => harvestTranscript(components, options),
+      exportTranscript: (format, options) => exportTranscript(components, format, options),
+      stream: (cb, options) => chatStream(components, cb, options),
+      detectError: (options) => detectChatError(components, options),
+      attach: (files, options) => chatAttach(components, files, logFn, options),
+      stop: () => chatStop(components, logFn),
+      regenerate: (index) => chatRegenerate(components, index, logFn),
+      editMessage: (index, newText, options) => chatEditMessage(components, index, newText, logFn, options),
+      listModels: () => listModels(components),
+      getCurrentModel: () => getCurrentModel(components),
+      selectModel: (name) => selectModel(components, name, logFn),
+      newConversation: () => newConversation(components, logFn, { chat: this.getAPI('chat')?.components }),
+      listConversations: () => listConversations(components),
+      openConversation: (id) => openConversation(components, id, logFn),
       fill: (data) => formFill(components, data, logFn),
-      submit: () => formSubmit(components, logFn),
+      fillWidgets: (data) => formFillWidgets(components, data, logFn),
+      submit: (options) => formSubmit(components, logFn, options),
       getValues: () => formGetValues(components),
+      describe: () => formDescribe(components),
+      wizardFill: (data, options) => formWizardFill(components, data, logFn, options),
+      wizardState: () => formWizardState(components),
       toggle: () => dropdownToggle(components),
       select: (value) => dropdownSelect(components, value),
       close: () => modalClose(components),
       // Meta
-      unbind: () => this.unbind(patternName),
-      rebind: (newPath) => this.bind(patternName, newPath)
+      unbind: () => this.unbind(patternName, api),
+      rebind: (newPath) => this.bind(patternName, newPath, { replace: api })
     };
 
-    this.boundAPIs.set(patternName, api);
-    this.log('success', `API bound for ${patternName}`);
-
-    if (!unsafeWindow.UC) unsafeWindow.UC = {};
-    unsafeWindow.UC[patternName] = api;
+    const index = existing ? apis.indexOf(existing) : -1;
+    if (index !== -1) {
+      // Queued sends would otherwise target the replaced components
+      existing.queue?.clear();
+      apis[index] = api;
+    } else {
+      apis.push(api);
+    }
+    this.boundAPIs.set(patternName, apis);
+    this.log('success', `API bound for ${this._bindingLabel(patternName, api)}`);
+    this._exposeAPIs(patternName);
 
     return api;
   }
 
-  unbind(patternName) {
-    if (this.boundAPIs.has(patternName)) {
-      this.boundAPIs.delete(patternName);
-      if (unsafeWindow.UC) {
-        delete unsafeWindow.UC[patternName];
-      }
-      this.log('info', `Unbound ${patternName} API`);
-      return true;
+  /**
+   * Unbind one binding of a pattern, or all of them.
+   *
+   * @param {string} patternName
+   * @param {number|string|object} [which] - Index, name or API object; omit for every binding.
+   * @returns {boolean} True if anything was unbound.
+   */
+  unbind(patternName, which) {
+    const apis = this.boundAPIs.get(patternName);
+    if (!apis) return false;
+
+    const removed = which === undefined ? [...apis] : [this.getAPI(patternName, which)].filter(Boolean);
+    if (removed.length === 0) return false;
+
+    for (const api of removed) {
+      // Queued sends would otherwise target detached components
+      api.queue?.clear();
+      apis.splice(apis.indexOf(api), 1);
+      this.log('info', `Unbound ${this._bindingLabel(patternName, api)} API`);
     }
-    return false;
+    if (apis.length === 0) this.boundAPIs.delete(patternName);
+    this._exposeAPIs(patternName);
+    return true;
   }
 
   unbindAll() {
@@ -550,20 +694,75 @@ export class UniversalController {
     this.log('info', `Unbound all APIs (${patterns.length})`);
   }
 
-  rebind(patternName, newPath) {
-    return this.bind(patternName, newPath);
+  rebind(patternName, newPath, which) {
+    const current = which === undefined ? null : this.getAPI(patternName, which);
+    return this.bind(patternName, newPath, current ? { replace: current } : {});
+  }
+
+  /**
+   * A bound API.
+   *
+   * @param {string} patternName
+   * @param {number|string|object} [which=0] - Index, name, or an API object (returned if still bound).
+   * @returns {object|null}
+   */
+  getAPI(patternName, which = 0) {
+    const apis = this.boundAPIs.get(patternName) || [];
+    if (typeof which === 'number') return apis[which] || null;
+    if (typeof which === 'string') return apis.find(a => a.name === which) || null;
+    return apis.includes(which) ? which : null;
+  }
+
+  /**
+   * Every binding of a pattern, in bind order.
+   *
+   * @param {string} patternName
+   * @returns {Array<object>}
+   */
+  getAPIs(patternName) {
+    return [...(this.boundAPIs.get(patternName) || [])];
   }
 
-  getAPI(patternName) {
-    return this.boundAPIs.get(patternName) || null;
+  /**
+   * The UC[pattern] view of a pattern's bindings: it acts as the first
+   * binding (UC.chat.send), indexes the rest (UC.chat[1]) and looks them
+   * up by name (UC.chat.byName('support')).
+   *
+   * @param {string} patternName
+   * @returns {object|null}
+   */
+  getAPIView(patternName) {
+    const apis = this.getAPIs(patternName);
+    if (apis.length === 0) return null;
+    const view = Object.create(apis[0]);
+    apis.forEach((api, i) => { view[i] = api; });
+    view.length = apis.length;
+    view.all = () => [...apis];
+    view.byName = (name) => apis.find(a => a.name === name) || null;
+    return view;
   }
 
   listBoundAPIs() {
-    return [...this.boundAPIs.entries()].map(([name, api]) => ({
+    return [...this.boundAPIs.entries()].flatMap(([name, apis]) => apis.map((api, index) => ({
       pattern: name,
+      index,
+      name: api.name,
       path: api.path,
       el: api.el
-    }));
+    })));
+  }
+
+  _bindingLabel(patternName, api) {
+    const apis = this.boundAPIs.get(patternName) || [];
+    if (api.name) return `${patternName} "${api.name}"`;
+    return apis.length > 1 && apis.includes(api) ? `${patternName}[${apis.indexOf(api)}]` : patternName;
+  }
+
+  _exposeAPIs(patternName) {
+    if (!unsafeWindow.UC) unsafeWindow.UC = {};
+    const view = this.getAPIView(patternName);
+    if (view) unsafeWindow.UC[patternName] = view;
+    else delete unsafeWindow.UC[patternName];
   }
 
   // ============================================
@@ -575,11 +774,11 @@ export class UniversalController {
    * Call this after the user confirms the binding works correctly.
    *
    * @param {string} patternName - The pattern to save a signature for.
-   * @param {object} [sendMethodResult] - Result from the last setText call.
+   * @param {object} [sendMethodResult] - Result from the last setText call (defaults to the binding's last send).
    * @returns {object|null} The captured signature, or null if not bound.
    */
   saveSignature(patternName, sendMethodResult) {
-    const api = this.boundAPIs.get(patternName);
+    const api = this.getAPI(patternName);
     if (!api) {
       this.log('error', `Cannot save signature: ${patternName} not bound`);
       return null;
@@ -598,7 +797,8 @@ export class UniversalController {
       patternName,
       components: api.components,
       lshSignature: lshSig,
-      sendMethodResult,
+      sendMethodResult: sendMethodResult ?? api.lastSend,
+      submitMethod: api.submitMethod,
       diffEvidence: this.lastDiff?.summary || null,
       path: api.path
     });
@@ -654,12 +854,14 @@ export class UniversalController {
             }
           }
 
-          // Bind the best match
-          const api = this.bind(sig.patternName, bestMatch.path);
+          // Bind the best match; sends replay the submit method that worked last time
+          const submitMethod = sig.behavioral?.submitMethod || null;
+          const api = this.bind(sig.patternName, bestMatch.path, { submitMethod });
           if (api) {
             this.signatures.markUsed(sig.id);
             bound.push(sig.patternName);
-            this.log('success', `Auto-bound ${sig.patternName} (saved signature)`);
+            const via = submitMethod ? `, submit via ${submitMethod.type}` : '';
+            this.log('success', `Auto-bound ${sig.patternName} (saved signature${via})`);
           }
         }
       } catch (e) {
@@ -871,7 +1073,7 @@ export class UniversalController {
    * @returns {string|null} The formatted context, or null if not bound.
    */
   getLLMContext(patternName) {
-    const api = this.boundAPIs.get(patternName);
+    const api = this.getAPI(patternName);
     if (!api) {
       this.log('error', `Cannot generate LLM context: ${patternName} not bound`);
       return null;
@@ -903,7 +1105,7 @@ export class UniversalController {
    * @returns {PatternVerifier|null}
    */
   createVerifier(patternName) {
-    const api = this.boundAPIs.get(patternName);
+    const api = this.getAPI(patternName);
     if (!api) {
       this.log('error', `Cannot create verifier: ${patternName} not bound`);
       return null;
@@ -999,7 +1201,7 @@ export class UniversalController {
 
         // If a bound API pattern was specified, update its components
         if (options.patternName && options.componentKey) {
-          const api = this.boundAPIs.get(options.patternName);
+          const api = this.getAPI(options.patternName);
           if (api) {
             api.components[options.componentKey] = el;
             this.log('info', `Updated ${options.patternName}.${options.componentKey}`);
@@ -1077,7 +1279,7 @@ export class UniversalController {
       snapshots: this.scanner.snapshotCount,
       elements: this.scanner.elementCount,
       detected: this.detected.size,
-      bound: this.boundAPIs.size,
+      bound: this.listBoundAPIs().length,
       signatures: this.signatures.count,
       frames: this.frameAgents.count
     };
@@ -27,6 +27,59 @@ const SPECS = {
           { check: 'children-added', timeout: 3000, desc: 'New message should appear in container' },
           { check: 'container-scrolled', timeout: 3500, desc: 'Container should scroll to show new message' }
         ]
+      },
+      stop: {
+        preconditions: [
+          { check: 'generating', desc: 'A reply should be generating' }
+        ],
+        postconditions: [
+          { check: 'generation-stopped', timeout: 3000, desc: 'Stop button should disappear' }
+        ]
+      },
+      regenerate: {
+        preconditions: [
+          { check: 'not-generating', desc: 'No reply should be generating' }
+        ],
+        postconditions: [
+          { check: 'response-restarted', timeout: 5000, desc: 'The last reply should be replaced or restart from empty' }
+        ]
+      },
+      selectModel: {
+        preconditions: [],
+        postconditions: [
+          { check: 'trigger-text-changed', timeout: 1500, desc: 'Model picker should show the selected model' }
+        ]
+      },
+      edit: {
+        preconditions: [
+          { check: 'not-generating', desc: 'No reply should be generating' }
+        ],
+        postconditions: [
+          { check: 'edit-applied', timeout: 5000, desc: 'Editor should close and the conversation should change' }
+        ]
+      }
+    }
+  },
+  history: {
+    name: 'ConversationHistory',
+    actions: {
+      new: {
+        preconditions: [],
+        postconditions: [
+          { check: 'location-changed', timeout: 3000, desc: 'URL should change to a new conversation' }
+        ]
+      },
+      stayNew: {
+        preconditions: [],
+        postconditions: [
+          { check: 'conversation-empty', timeout: 3000, desc: 'Page should show an empty conversation' }
+        ]
+      },
+      open: {
+        preconditions: [],
+        postconditions: [
+          { check: 'location-changed', timeout: 3000, desc: 'URL should change to the opened conversation' }
+        ]
       }
     }
   },
@@ -180,6 +233,8 @@ export class PatternVerifier {
 
     const checks = {
       'input-has-value': () => !!(input?.value || input?.textContent?.trim()),
+      'generating': () => !!this.components.stopButton,
+      'not-generating': () => !this.components.stopButton,
       'has-filled-fields': () => fields?.some(f => f.value?.trim()),
       'menu-visible': () => {
         const menu = this.components.menu;
@@ -244,11 +299,31 @@ export class PatternVerifier {
       'container-scrolled': () => {
         return container && container.scrollTop > initialState.containerScrollTop;
       },
+      'location-changed': () => location.href !== initialState.location,
+      'conversation-empty': () => !!this.components.conversationEmpty,
+      'generation-stopped': () => !this.components.stopButton,
+      'response-restarted': () => {
+        // The reply being regenerated must be replaced by a new turn or start over:
+        // a stop button or a reply that merely kept growing could be the old generation
+        const before = initialState.lastAssistant;
+        const now = this.components.lastAssistantTurn;
+        if (!now) return false;
+        if (!before) return true;
+        if (now.el !== before.el) return true;
+        return now.text === '' || (now.text !== before.text && !now.text.startsWith(before.text));
+      },
+      'edit-applied': () => {
+        if (!container || container.textContent === initialState.containerText) return false;
+        const openEditor = [...container.querySelectorAll('textarea, [contenteditable="true"]')]
+          .some(e => e !== input && !e.contains(input) && e.offsetParent !== null);
+        return !openEditor;
+      },
       'inputs-cleared-or-hidden': () => {
         if (!fields) return false;
         const allCleared = fields.every(f => !f.value?.trim());
+        // A form that navigated or re-rendered away is gone from the document
         const hidden = (() => {
-          try { return container && getComputedStyle(container).display === 'none'; } catch (e) { return false; }
+          try { return !!container && (!container.isConnected || getComputedStyle(container).display === 'none'); } catch (e) { return false; }
         })();
         return allCleared || hidden;
       },
@@ -293,6 +368,7 @@ export class PatternVerifier {
       inputValue: input?.value || input?.textContent?.trim() || '',
       containerChildCount: container?.children.length || 0,
       containerScrollTop: container?.scrollTop || 0,
+      containerText: container?.textContent || '',
       ariaExpanded: trigger?.getAttribute('aria-expanded'),
       menuVisible: (() => {
         const menu = this.components.menu;
@@ -300,7 +376,12 @@ export class PatternVerifier {
         try { return getComputedStyle(menu).display !== 'none'; } catch (e) { return false; }
       })(),
       triggerText: trigger?.textContent?.trim() || '',
-      fieldValues: fields?.map(f => f.value) || []
+      location: location.href,
+      fieldValues: fields?.map(f => f.value) || [],
+      lastAssistant: (() => {
+        const turn = this.components?.lastAssistantTurn;
+        return turn ? { el: turn.el, text: turn.text } : null;
+      })()
     };
   }
 
@@ -190,7 +190,7 @@ function walkChain(obj, chain, controller) {
 
     // Special handling for UC proxy: first property is the pattern name
     if (current?._isUCProxy && i === 0) {
-      const api = controller.getAPI(prop);
+      const api = controller.getAPIView(prop);
       if (!api) return { value: undefined, error: `UC.${prop} not bound` };
       current = api;
       continue;
@@ -323,7 +323,8 @@ export function executeAPI(command, controller) {
       if (apis.length === 0) {
         return { output: 'UC: No APIs bound. Run detect() and bind() first.' };
       }
-      return { output: `UC: Bound APIs: ${apis.map(a => a.pattern).join(', ')}` };
+      const labels = apis.map(a => a.name ? `${a.pattern} "${a.name}"` : a.index > 0 ? `${a.pattern}[${a.index}]` : a.pattern);
+      return { output: `UC: Bound APIs: ${labels.join(', ')}` };
     }
 
     return { output: formatResult(result.value) };
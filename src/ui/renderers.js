@@ -158,16 +158,20 @@ export function renderBoundAPIs(apis, container, controller) {
     return;
   }
 
+  // A pattern's second and later bindings are reached as UC.chat[1], or by name
+  const label = (api) => api.name ? `UC.${api.pattern}.byName('${api.name}')`
+    : api.index > 0 ? `UC.${api.pattern}[${api.index}]` : `UC.${api.pattern}`;
+
   container.innerHTML = apis.map(api => `
     <div class="uc-result" style="padding: 8px;">
       <div class="uc-result-header" style="margin-bottom: 4px;">
-        <span class="uc-result-type">${getIcon(api.pattern)} UC.${api.pattern}</span>
+        <span class="uc-result-type">${getIcon(api.pattern)} ${label(api)}</span>
         <span class="uc-result-confidence uc-conf-high">bound</span>
       </div>
       <div class="uc-result-path" style="margin-bottom: 6px;">${api.path?.slice(-50) || 'N/A'}</div>
       <div class="uc-result-actions">
-        <button class="uc-btn uc-unbind-btn" data-pattern="${api.pattern}">Unbind</button>
-        <button class="uc-btn uc-highlight-bound-btn" data-pattern="${api.pattern}">Show</button>
+        <button class="uc-btn uc-unbind-btn" data-pattern="${api.pattern}" data-index="${api.index}">Unbind</button>
+        <button class="uc-btn uc-highlight-bound-btn" data-pattern="${api.pattern}" data-index="${api.index}">Show</button>
       </div>
     </div>
   `).join('');
@@ -176,7 +180,7 @@ export function renderBoundAPIs(apis, container, controller) {
   container.querySelectorAll('.uc-unbind-btn').forEach(btn => {
     btn.addEventListener('click', () => {
       const pattern = btn.dataset.pattern;
-      controller.unbind(pattern);
+      controller.unbind(pattern, Number(btn.dataset.index));
       renderBoundAPIs(controller.listBoundAPIs(), container, controller);
     });
   });
@@ -185,7 +189,7 @@ export function renderBoundAPIs(apis, container, controller) {
   container.querySelectorAll('.uc-highlight-bound-btn').forEach(btn => {
     btn.addEventListener('click', () => {
       const pattern = btn.dataset.pattern;
-      const api = controller.getAPI(pattern);
+      const api = controller.getAPI(pattern, Number(btn.dataset.index));
       if (api?.el) {
         controller.highlight(api.el);
         api.el.scrollIntoView({ behavior: 'smooth', block: 'center' });
@@ -235,6 +239,7 @@ export function renderSignatures(sigStore, container, countBadge) {
           <div class="uc-sig-meta">
             ${sig.framework} &middot; ${ageStr} &middot; used ${sig.useCount}x
             ${sig.behavioral?.sendMethod ? `&middot; send: ${sig.behavioral.sendMethod}` : ''}
+            ${sig.behavioral?.submitMethod ? `&middot; submit: ${sig.behavioral.submitMethod.type}` : ''}
           </div>
           <div class="uc-sig-actions">
             <button class="uc-sig-delete danger" data-sig-id="${sig.id}">\u{2715} Delete</button>
@@ -134,7 +134,7 @@ export function setupEventHandlers(panel, controller) {
   });
 
   panel.querySelector('#btn-detect-all').addEventListener('click', () => {
-    const patterns = ['chat', 'form', 'login', 'dropdown', 'modal', 'search', 'cookie', 'feed'];
+    const patterns = ['chat', 'history', 'form', 'login', 'dropdown', 'modal', 'search', 'cookie', 'feed'];
     detectionResults = patterns.flatMap(p => controller.detect(p, 'BEHAVIORAL'));
     renderResults(detectionResults, panel.querySelector('#uc-results'), controller, refreshStats);
     refreshStats();
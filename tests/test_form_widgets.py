@@ -0,0 +1,211 @@
+"""Browser tests for the form fill APIs on ARIA widgets.
+
+Loads the built extension bundle (extension/dist/uc-extension.js) into a
+headless Chromium page holding a small form, binds it, and checks:
+
+* switches, comboboxes, sliders and chip inputs are set by __UC_formFillWidgets
+  and report the value they show
+* __UC_formFill stays synchronous for native fields, fills radio and
+  checkbox groups by value, and reports unmatched options under ``failed``
+
+Skipped when Playwright, its Chromium or the built bundle is missing
+(build it with ``cd extension && npx rollup -c``).
+"""
+
+from __future__ import annotations
+
+import pytest
+
+sync_api = pytest.importorskip("playwright.sync_api")
+
+from uc_browser import _paths  # noqa: E402
+
+BUNDLE = _paths.ext_dir() / "dist" / "uc-extension.js"
+
+FORM_HTML = """
+<form id="f" aria-label="Preferences">
+  <label>Name <input name="name"></label>
+
+  <fieldset><legend>Plan</legend>
+    <label><input type="radio" name="plan" value="free" checked> Free</label>
+    <label><input type="radio" name="plan" value="pro"> Pro</label>
+  </fieldset>
+  <label><input type="checkbox" name="topics" value="news"> News</label>
+  <label><input type="checkbox" name="topics" value="offers" checked> Offers</label>
+  <label><input type="checkbox" name="topics" value="tips"> Tips</label>
+
+  <span id="nl">Newsletter</span>
+  <button type="button" id="sw" role="switch" aria-checked="false" aria-labelledby="nl"></button>
+
+  <span id="cl">Country</span>
+  <button type="button" id="cb" role="combobox" aria-labelledby="cl" aria-controls="lb"
+          aria-expanded="false">Pick one</button>
+
+  <div id="sl" role="slider" aria-label="Volume" tabindex="0"
+       aria-valuemin="0" aria-valuemax="100" aria-valuenow="10" style="width: 100px; height: 8px"></div>
+
+  <div><span id="chips"></span><input id="ti" name="tags" aria-label="Tags"></div>
+
+  <button type="submit">Save</button>
+</form>
+<div id="lb" role="listbox" hidden>
+  <div role="option">France</div>
+  <div role="option">Germany</div>
+</div>
+<script>
+  const $ = id => document.getElementById(id);
+  $('sw').addEventListener('click', () => {
+    $('sw').setAttribute('aria-checked', String($('sw').getAttribute('aria-checked') !== 'true'));
+  });
+  $('cb').addEventListener('pointerdown', () => {
+    $('lb').hidden = false;
+    $('cb').setAttribute('aria-expanded', 'true');
+  });
+  document.querySelectorAll('[role=option]').forEach(o => o.addEventListener('click', () => {
+    $('cb').textContent = o.textContent;
+    $('lb').hidden = true;
+    $('cb').setAttribute('aria-expanded', 'false');
+  }));
+  $('sl').addEventListener('keydown', e => {
+    const steps = { ArrowRight: 1, ArrowLeft: -1, PageUp: 10, PageDown: -10 };
+    let v = Number($('sl').getAttribute('aria-valuenow'));
+    if (e.key === 'Home') v = 0;
+    else if (e.key === 'End') v = 100;
+    else if (e.key in steps) v = Math.max(0, Math.min(100, v + steps[e.key]));
+    else return;
+    e.preventDefault();
+    $('sl').setAttribute('aria-valuenow', String(v));
+  });
+  $('ti').addEventListener('keydown', e => {
+    if (e.key !== 'Enter' || !$('ti').value) return;
+    e.preventDefault();
+    const chip = document.createElement('span');
+    chip.textContent = $('ti').value;
+    $('chips').append(chip);
+    $('ti').value = '';
+  });
+</script>
+"""
+
+
+# ── Fixtures ─────────────────────────────────────────────────────────
+
+
+@pytest.fixture(scope="module")
+def browser():
+    if not BUNDLE.exists():
+        pytest.skip(f"{BUNDLE} not built")
+    with sync_api.sync_playwright() as p:
+        try:
+            browser = p.chromium.launch(headless=True)
+        except Exception as e:  # browser binaries not installed
+            pytest.skip(f"Chromium unavailable: {e}")
+        yield browser
+        browser.close()
+
+
+@pytest.fixture
+def page(browser):
+    """A fresh page with the form, the bundle loaded and the form bound."""
+    page = browser.new_page()
+    page.set_content(FORM_HTML)
+    page.add_script_tag(path=str(BUNDLE))
+    assert page.evaluate("window.__UC_bindBySelector('form', '#f')")
+    yield page
+    page.close()
+
+
+def _fill_widgets(page, data):
+    return page.evaluate("(data) => window.__UC_formFillWidgets(data)", data)
+
+
+def _filled(result, key):
+    return next(f for f in result["filled"] if f["key"] == key)
+
+
+# ── ARIA widgets ─────────────────────────────────────────────────────
+
+
+def test_switch_is_toggled_and_verified(page):
+    result = _fill_widgets(page, {"newsletter": True})
+
+    assert result["success"] is True
+    entry = _filled(result, "newsletter")
+    assert entry["widget"] == "toggle"
+    assert entry["shown"] is True
+    assert page.get_attribute("#sw", "aria-checked") == "true"
+
+
+def test_combobox_picks_the_matching_option(page):
+    result = _fill_widgets(page, {"country": "germany"})
+
+    assert result["success"] is True
+    entry = _filled(result, "country")
+    assert entry["widget"] == "combobox"
+    assert entry["shown"] == "Germany"
+    assert page.text_content("#cb") == "Germany"
+
+
+def test_combobox_reports_a_missing_option(page):
+    result = _fill_widgets(page, {"country": "Atlantis"})
+
+    assert result["success"] is False
+    assert result["filled"] == []
+    [failed] = result["failed"]
+    assert failed["key"] == "country"
+    assert failed["widget"] == "combobox"
+    assert "Atlantis" in failed["error"]
+
+
+def test_slider_reaches_the_value_by_keys(page):
+    result = _fill_widgets(page, {"volume": 37})
+
+    assert result["success"] is True
+    entry = _filled(result, "volume")
+    assert entry["widget"] == "range"
+    assert entry["shown"] == 37
+    assert page.get_attribute("#sl", "aria-valuenow") == "37"
+
+
+def test_text_input_given_an_array_becomes_chips(page):
+    result = _fill_widgets(page, {"tags": ["alpha", "beta"]})
+
+    assert result["success"] is True
+    entry = _filled(result, "tags")
+    assert entry["widget"] == "chips"
+    assert entry["shown"] == ["alpha", "beta"]
+    assert page.eval_on_selector_all("#chips > span", "spans => spans.map(s => s.textContent)") == ["alpha", "beta"]
+
+
+# ── formFill result shape ────────────────────────────────────────────
+
+
+def test_form_fill_is_synchronous_for_native_fields(page):
+    # A Promise would serialize as {}; a plain result keeps its keys
+    result = page.evaluate("() => { const r = window.__UC_formFill({ name: 'Ann' }); return r instanceof Promise ? null : r; }")
+
+    assert result == {
+        "success": True,
+        "filled": [{"key": "name", "field": "name", "value": "Ann"}],
+    }
+    assert page.input_value("input[name=name]") == "Ann"
+
+
+def test_form_fill_sets_radio_and_checkbox_groups_by_value(page):
+    result = page.evaluate("window.__UC_formFill({ plan: 'pro', topics: ['news', 'tips'] })")
+
+    assert result["success"] is True
+    assert [f["key"] for f in result["filled"]] == ["plan", "topics"]
+    assert page.is_checked("input[value=pro]")
+    assert not page.is_checked("input[value=free]")
+    checked = page.eval_on_selector_all("input[name=topics]", "boxes => boxes.filter(b => b.checked).map(b => b.value)")
+    assert checked == ["news", "tips"]
+
+
+def test_form_fill_reports_an_unknown_option_as_failed(page):
+    result = page.evaluate("window.__UC_formFill({ name: 'Ann', plan: 'enterprise' })")
+
+    assert result["success"] is False
+    assert [f["key"] for f in result["filled"]] == ["name"]
+    assert result["failed"] == [{"key": "plan", "field": "plan", "error": 'No option matching "enterprise"'}]
+    assert page.is_checked("input[value=free]")